@@ -14,6 +14,7 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const passport = require('passport');
+const { getStorage } = require('./utils/storage');
 
 // Load environment variables from .env file
 require('dotenv').config();
@@ -39,6 +40,16 @@ app.use(passport.initialize());
 
 app.use(express.static('public'));
 
+// Serve uploaded files (avatars) when they are stored on local disk
+// File names change on every upload, so they can be cached forever
+if (process.env.STORAGE_DRIVER !== 's3') {
+  app.use(process.env.LOCAL_STORAGE_URL || '/uploads', express.static(getStorage().root, {
+    immutable: true,
+    maxAge: '1y',
+    index: false
+  }));
+}
+
 // ======================
 // Database Connection
 // ======================
@@ -56,6 +67,26 @@ mongoose.connect(process.env.MONGODB_URI)
 // This handles register, login, OAuth flows, etc.
 app.use('/api/auth', require('./routes/auth'));
 
+// Mount two-factor authentication routes at /api/auth/2fa
+// This handles TOTP enrollment, recovery codes and the 2FA login step
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
+
+// Mount sign-in method routes at /api/auth/providers
+// This handles listing, linking and unlinking providers and adding a password
+app.use('/api/auth/providers', require('./routes/providers'));
+
+// Mount browser OAuth routes at /api/auth
+// This handles /google, /github and their callbacks plus the app code exchange
+app.use('/api/auth', require('./routes/oauth'));
+
+// Mount user account routes at /api/user
+// This handles the profile, data export and account deletion
+app.use('/api/user', require('./routes/user'));
+
+// Mount admin routes at /api/admin
+// This handles support tooling: user search, account actions and the audit log
+app.use('/api/admin', require('./routes/admin'));
+
 // Mount heart rate monitoring routes at /api/water
 // This handles water intake data CRUD operations for authenticated users
 app.use('/api/water', require('./routes/water'));
@@ -0,0 +1,139 @@
+/**
+ * config/hydration.js - Hydration Settings
+ *
+ * Volume units, beverage types and the numbers used by the goal calculator
+ * (utils/hydrationGoals.js). Amounts are stored in millilitres; the API
+ * converts them to the user's unit (utils/volumeUnits.js).
+ *
+ * Calculated goal:
+ *   weightKg × ML_PER_KG (by age) + ACTIVITY_EXTRA_ML (by activity level),
+ *   rounded to GOAL_ROUNDING_ML and kept between MIN_GOAL_ML and MAX_GOAL_ML.
+ * Without a weight, DEFAULT_GOAL_ML is used.
+ */
+
+// ======================
+// Volume Units
+// ======================
+
+/**
+ * VOLUME_UNITS - Millilitres per unit, and decimals shown in responses
+ */
+const VOLUME_UNITS = {
+  ml: { ml: 1, decimals: 0 },
+  l: { ml: 1000, decimals: 2 },
+  fl_oz: { ml: 29.5735, decimals: 1 },
+  glass: { ml: 250, decimals: 1 }
+};
+
+// Size of one glass (what entries were counted in before volumes)
+const GLASS_ML = VOLUME_UNITS.glass.ml;
+
+// Largest single entry: the 50 glasses entries were limited to before
+// volumes (12.5 litres), so old clients and migrated entries stay valid
+const MAX_ENTRY_GLASSES = 50;
+const MAX_ENTRY_ML = MAX_ENTRY_GLASSES * GLASS_ML;
+
+// ======================
+// Beverage Types
+// ======================
+
+/**
+ * BEVERAGE_COEFFICIENTS - Share of a drink's volume that counts towards the
+ * daily goal (caffeinated and sugary drinks hydrate a little less)
+ *
+ * Override with HYDRATION_COEFFICIENTS, e.g. "coffee:0.9,tea:1"
+ */
+const BEVERAGE_COEFFICIENTS = {
+  water: 1,
+  sparkling_water: 1,
+  tea: 0.9,
+  coffee: 0.8,
+  milk: 0.9,
+  juice: 0.85,
+  soda: 0.8,
+  sports_drink: 1,
+  other: 0.8
+};
+
+(process.env.HYDRATION_COEFFICIENTS || '').split(',').filter(Boolean).forEach(entry => {
+  const [beverage, value] = entry.split(':').map(part => part.trim());
+  const coefficient = parseFloat(value);
+
+  if (!(beverage in BEVERAGE_COEFFICIENTS) || !(coefficient >= 0 && coefficient <= 1.5)) {
+    throw new Error(`Invalid HYDRATION_COEFFICIENTS entry: ${entry}`);
+  }
+  BEVERAGE_COEFFICIENTS[beverage] = coefficient;
+});
+
+const BEVERAGE_TYPES = Object.keys(BEVERAGE_COEFFICIENTS);
+
+// Container presets a user may define
+const MAX_CONTAINER_PRESETS = 20;
+
+// ======================
+// Daily Goal
+// ======================
+
+// Goal when the profile has no weight
+const DEFAULT_GOAL_ML = 2000;
+
+// Bounds for calculated and manual goals
+const MIN_GOAL_ML = 1000;
+const MAX_GOAL_ML = 6000;
+
+// Calculated goals are rounded to this
+const GOAL_ROUNDING_ML = 50;
+
+// Millilitres per kg of body weight; the first band whose maxAge is not exceeded applies
+const ML_PER_KG = [
+  { maxAge: 30, ml: 40 },
+  { maxAge: 55, ml: 35 },
+  { maxAge: Infinity, ml: 30 }
+];
+
+// Used when the profile has no date of birth
+const DEFAULT_ML_PER_KG = 35;
+
+// Extra millilitres per day for each activity level (none when not set)
+const ACTIVITY_EXTRA_ML = {
+  sedentary: 0,
+  light: 250,
+  moderate: 500,
+  active: 750,
+  very_active: 1000
+};
+
+/**
+ * ADJUSTMENT_TYPES - Per-day adjustments and the millilitres each adds by
+ * default (the user may enter a different amount)
+ */
+const ADJUSTMENT_TYPES = {
+  workout: 500,
+  hot_weather: 500,
+  illness: 500,
+  other: 250
+};
+
+// Bounds for a single adjustment
+const MIN_ADJUSTMENT_ML = 50;
+const MAX_ADJUSTMENT_ML = 2500;
+
+// Export hydration configuration
+module.exports = {
+  VOLUME_UNITS,
+  GLASS_ML,
+  MAX_ENTRY_ML,
+  BEVERAGE_COEFFICIENTS,
+  BEVERAGE_TYPES,
+  MAX_CONTAINER_PRESETS,
+  DEFAULT_GOAL_ML,
+  MIN_GOAL_ML,
+  MAX_GOAL_ML,
+  GOAL_ROUNDING_ML,
+  ML_PER_KG,
+  DEFAULT_ML_PER_KG,
+  ACTIVITY_EXTRA_ML,
+  ADJUSTMENT_TYPES,
+  MIN_ADJUSTMENT_ML,
+  MAX_ADJUSTMENT_ML
+};
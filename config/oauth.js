@@ -1,108 +1,126 @@
 /**
  * config/oauth.js - Passport OAuth Configuration
- * 
- * This file configures Google OAuth 2.0 authentication using Passport.
- * Sets up the strategy, serialization, and user creation/lookup logic.
+ *
+ * This file configures the OAuth providers users can sign in with in a browser.
+ * Every provider is registered through the same generic code; a provider is
+ * only enabled when its client ID and secret are set in the environment.
+ *
+ * Adding a provider means adding one entry to PROVIDERS (and its name to the
+ * provider enums in models/User.js).
+ *
+ * The API is stateless (no express-session), so there is no user
+ * serialization: every request carries a `state` handle stored in MongoDB
+ * (utils/oauthState.js) and, where the provider supports it, PKCE.
  */
 
 // Import required packages
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const GitHubStrategy = require('passport-github').Strategy;
+const { getVerifiedEmail, resolveOAuthUser } = require('../utils/oauthAccounts');
+const { createStateStore } = require('../utils/oauthState');
 
 // ======================
-// Google OAuth Strategy
+// Provider Definitions
 // ======================
 
 /**
- * Google OAuth Strategy Configuration
- * 
- * Handles the OAuth flow when user tries to login with Google.
- * Verifies credentials and either finds existing user or creates new one.
+ * PROVIDERS - Supported OAuth providers
+ *
+ * Each entry names its Passport strategy, the environment variables holding
+ * its credentials, the scopes needed to read a verified email address and
+ * whether the provider supports PKCE.
  */
-passport.use(new GoogleStrategy({
-  // Google OAuth credentials from environment variables
-  clientID: process.env.GOOGLE_CLIENT_ID,
-  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-  // URL where Google will redirect after user approves/denies
-  callbackURL: "https://cataclinal-chantell-subreputably.ngrok-free.dev/api/auth/google/callback"
-}, async (accessToken, refreshToken, profile, done) => {
-  try {
-    // Import User model
-    const User = require('../models/User');
-    
-    // Extract user's email from Google profile
-    const userEmail = profile.emails[0].value;
-    
-    // Check if user already exists in database
-    let user = await User.findOne({ email: userEmail });
-
-    // If user exists, return them
-    if (user) {
-      return done(null, user);
-    }
-
-    // Create new user with data from Google profile
-    user = await User.create({
-      name: profile.displayName,
-      email: userEmail,
-      // Set authMethod to google for OAuth users
-      authMethod: 'google',
-      // Create unique dummy password for security (won't be used for login)
-      password: 'google-oauth-' + Date.now(),
-      // Store OAuth provider information
-      oauthProviders: [{
-        provider: 'google',
-        providerId: profile.id,
-        accessToken: accessToken,
-        refreshToken: refreshToken
-      }]
-    });
-
-    // Return the newly created user
-    done(null, user);
-  } catch (error) {
-    // Return error if anything fails
-    done(error, null);
+const PROVIDERS = {
+  google: {
+    Strategy: GoogleStrategy,
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    scope: ['profile', 'email'],
+    pkce: true
+  },
+  github: {
+    Strategy: GitHubStrategy,
+    clientID: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    // user:email lets passport-github read the verified email list
+    scope: ['user:email'],
+    pkce: false
   }
-}));
-
-// ======================
-// Session Serialization
-// ======================
+};
 
 /**
- * serializeUser - Determines what user data to store in session
- * 
- * This function is called during login to decide what gets stored in req.session.passport.
- * We store only the user's ID to keep session data small.
+ * getCallbackURL - URL the provider redirects to after the user approves/denies
+ *
+ * Uses <PROVIDER>_CALLBACK_URL if set, otherwise
+ * <OAUTH_CALLBACK_BASE_URL>/api/auth/<provider>/callback.
+ *
+ * @param {string} name - Provider name
+ * @returns {string}
  */
-passport.serializeUser((user, done) => {
-  // Store only the user's MongoDB ID in the session
-  done(null, user.id);
-});
+const getCallbackURL = (name) => {
+  const baseUrl = process.env.OAUTH_CALLBACK_BASE_URL || process.env.CLIENT_URL || 'http://localhost:5000';
+  return process.env[`${name.toUpperCase()}_CALLBACK_URL`] || `${baseUrl}/api/auth/${name}/callback`;
+};
 
 // ======================
-// Session Deserialization
+// Strategy Registration
 // ======================
 
 /**
- * deserializeUser - Retrieves full user data from stored session
- * 
- * When a user makes a request with an active session, this function
- * retrieves their full user document from the database using the stored ID.
+ * createVerify - Passport verify callback shared by every provider
+ *
+ * Finds, links or creates the user with the same rules as /google-simple.
+ * Refusals (e.g. an unverified account already uses the email) are passed
+ * to the route as `info` so it can tell the app what went wrong. On success
+ * `info` says whether the account was just linked or created.
+ *
+ * @param {string} name - Provider name
+ * @returns {Function} - Passport verify callback
  */
-passport.deserializeUser(async (id, done) => {
+const createVerify = (name) => async (accessToken, refreshToken, profile, done) => {
   try {
-    // Import User model
-    const User = require('../models/User');
-    
-    // Fetch full user document by ID
-    const user = await User.findById(id);
-    
-    // Return the user
-    done(null, user);
+    const { user, error, linked, created } = await resolveOAuthUser({
+      provider: name,
+      providerId: profile.id,
+      email: getVerifiedEmail(profile),
+      name: profile.displayName || profile.username,
+      avatar: profile.photos && profile.photos[0] ? profile.photos[0].value : null,
+      accessToken,
+      refreshToken
+    });
+
+    if (error) {
+      return done(null, false, error);
+    }
+
+    done(null, user, { linked, created });
   } catch (error) {
-    // Return error if user not found or database error
+    // Return error if anything fails
     done(error, null);
   }
-});
\ No newline at end of file
+};
+
+/**
+ * enabledProviders - Names of the providers that are configured
+ */
+const enabledProviders = Object.keys(PROVIDERS).filter(
+  name => PROVIDERS[name].clientID && PROVIDERS[name].clientSecret
+);
+
+enabledProviders.forEach(name => {
+  const { Strategy, clientID, clientSecret, scope, pkce } = PROVIDERS[name];
+
+  passport.use(name, new Strategy({
+    clientID,
+    clientSecret,
+    scope,
+    callbackURL: getCallbackURL(name),
+    // CSRF protection: random state stored server-side, checked on callback
+    store: createStateStore(name),
+    pkce
+  }, createVerify(name)));
+});
+
+// Export provider configuration for the OAuth routes
+module.exports = { PROVIDERS, enabledProviders };
@@ -0,0 +1,43 @@
+/**
+ * config/roles.js - Roles & Permissions
+ *
+ * Every user has one role; a role is a list of permissions. Routes check
+ * permissions (never role names) with authorize() from middleware/auth.js,
+ * so a new role only needs an entry here.
+ */
+
+/**
+ * PERMISSIONS - Every permission with a short explanation
+ */
+const PERMISSIONS = {
+  'users:read': 'Search users and view account details',
+  'users:water:read': "View a user's water history (read-only)",
+  'users:manage': 'Disable/enable accounts, force password resets and revoke sessions',
+  'roles:manage': "Change a user's role",
+  'security-events:read': 'Query the security audit log across users'
+};
+
+/**
+ * ROLES - Permissions granted to each role
+ */
+const ROLES = {
+  // Regular app users
+  user: [],
+  // Support staff: can look, but not change accounts
+  support: ['users:read', 'users:water:read', 'security-events:read'],
+  // Administrators: everything
+  admin: Object.keys(PERMISSIONS)
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * getPermissions - Permissions granted to a role
+ *
+ * @param {string} role - Role name
+ * @returns {string[]} - Empty for unknown roles
+ */
+const getPermissions = (role) => ROLES[role] || [];
+
+// Export role configuration
+module.exports = { PERMISSIONS, ROLES, ROLE_NAMES, getPermissions };
@@ -0,0 +1,21 @@
+/**
+ * config/scopes.js - Personal Access Token Scopes
+ *
+ * Scopes a personal access token can be granted. Routes that accept tokens
+ * declare the scope they need with requireScope() (see middleware/auth.js).
+ *
+ * Adding a scope means adding it here and using it on the routes it covers.
+ */
+
+/**
+ * SCOPE_DESCRIPTIONS - Every scope with a short explanation for the app
+ */
+const SCOPE_DESCRIPTIONS = {
+  'water:read': 'Read your water intake entries and stats',
+  'water:write': 'Add, edit and delete water intake entries'
+};
+
+const SCOPES = Object.keys(SCOPE_DESCRIPTIONS);
+
+// Export scope configuration
+module.exports = { SCOPES, SCOPE_DESCRIPTIONS };
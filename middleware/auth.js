@@ -3,11 +3,19 @@
  * 
  * This middleware protects routes by verifying JWT tokens.
  * It checks for valid tokens in the Authorization header and fetches the user.
+ *
+ * Personal access tokens (PATs) are accepted too, but only on routes that
+ * opt in with allowAccessTokens and declare a scope with requireScope.
  */
 
 // Import required packages
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { ACCESS_TOKEN_EXPIRE } = require('../utils/tokens');
+const { touchSession } = require('../utils/sessions');
+const { isAccessToken, verifyAccessToken } = require('../utils/accessTokens');
+const { sendAccountDisabled, sendPasswordResetRequired } = require('../utils/authResponse');
 
 // ======================
 // Authentication Middleware
@@ -18,9 +26,13 @@ const User = require('../models/User');
  * 
  * This middleware:
  * 1. Extracts JWT token from Authorization header
- * 2. Verifies the token is valid
- * 3. Retrieves the authenticated user from database
- * 4. Attaches user to req.user for use in route handlers
+ * 2. Verifies the token is valid and has not expired
+ * 3. Checks that the token's session has not been revoked
+ * 4. Retrieves the authenticated user from database
+ * 5. Attaches user to req.user and session to req.authSession
+ * 
+ * A personal access token is checked with authenticateAccessToken instead
+ * and sets req.accessToken (req.authSession is then null).
  * 
  * Usage: app.get('/route', protect, handler)
  * 
@@ -55,13 +67,56 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Personal access tokens are handled separately
+    if (isAccessToken(token)) {
+      return await authenticateAccessToken(token, req, res, next);
+    }
+
     // ======================
     // Verify & Decode Token
     // ======================
 
     // Verify the token signature and expiration
+    // maxAge also rejects older long-lived tokens issued before access tokens
+    // became short-lived, even if their own exp is still in the future
     // The token contains the user ID in decoded.id
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET, { maxAge: ACCESS_TOKEN_EXPIRE });
+    } catch (error) {
+      // Tell the client to use its refresh token instead of logging out
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({
+          success: false,
+          code: 'TOKEN_EXPIRED',
+          message: 'Access token expired'
+        });
+      }
+      throw error;
+    }
+
+    // Tokens without an expiry or a session are never accepted
+    if (!decoded.exp || !decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized to access this route'
+      });
+    }
+
+    // ======================
+    // Check Session
+    // ======================
+
+    // The session must not have been logged out or revoked
+    const session = await Session.findById(decoded.sid);
+
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: 'Session has been revoked, please log in again'
+      });
+    }
 
     // ======================
     // Fetch User from Database
@@ -78,12 +133,22 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Accounts disabled by an admin lose access immediately
+    if (user.isDisabled()) {
+      return sendAccountDisabled(res);
+    }
+
     // ======================
     // Attach User & Continue
     // ======================
 
-    // Attach user object to request for use in route handlers
+    // Attach user and session to request for use in route handlers
     req.user = user;
+    req.authSession = session;
+    req.accessToken = null;
+
+    // Record device activity for the sessions list
+    await touchSession(session);
     
     // Call next middleware/route handler
     next();
@@ -96,5 +161,164 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Export the protect middleware
-module.exports = { protect };
\ No newline at end of file
+// ======================
+// Personal Access Tokens
+// ======================
+
+/**
+ * authenticateAccessToken - protect() for personal access tokens
+ * 
+ * Refuses tokens on routes that did not opt in with allowAccessTokens, so a
+ * token can never manage the account (change password, create tokens, ...).
+ * 
+ * @param {string} token - Bearer token starting with "bhp_"
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticateAccessToken = async (token, req, res, next) => {
+  if (!req.accessTokensAllowed) {
+    return res.status(403).json({
+      success: false,
+      code: 'ACCESS_TOKEN_NOT_ALLOWED',
+      message: 'Personal access tokens cannot be used for this route'
+    });
+  }
+
+  const accessToken = await verifyAccessToken(token);
+  const user = accessToken && await User.findById(accessToken.user);
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+
+  if (user.isDisabled()) {
+    return sendAccountDisabled(res);
+  }
+
+  // An admin forced a password reset: integrations wait until it is done
+  if (user.passwordResetRequired) {
+    return sendPasswordResetRequired(res);
+  }
+
+  // Tokens are revoked when deletion is scheduled; this also covers tokens
+  // created in a race with the request
+  if (user.deletionScheduledAt) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+
+  req.user = user;
+  req.authSession = null;
+  req.accessToken = accessToken;
+
+  next();
+};
+
+/**
+ * allowAccessTokens - Let protect accept personal access tokens
+ * 
+ * Must be used before protect, and every route behind it must declare
+ * the scope it needs with requireScope.
+ * 
+ * Usage: router.use(allowAccessTokens, protect)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const allowAccessTokens = (req, res, next) => {
+  req.accessTokensAllowed = true;
+  next();
+};
+
+/**
+ * requireScope - Require a scope when the request uses a personal access token
+ * 
+ * Must be used after protect. Requests signed in with a JWT (the app itself)
+ * are not limited by scopes.
+ * 
+ * Usage: router.get('/', requireScope('water:read'), handler)
+ * 
+ * @param {string} scope - Scope from config/scopes.js
+ * @returns {Function} - Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (req.accessToken && !req.accessToken.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      code: 'INSUFFICIENT_SCOPE',
+      message: `This token does not have the ${scope} scope`
+    });
+  }
+
+  next();
+};
+
+// ======================
+// Email Verification Middleware
+// ======================
+
+/**
+ * requireVerifiedEmail - Only allow users with a verified email address
+ * 
+ * Must be used after protect. Use it for actions that rely on the user
+ * owning their address, such as sharing data or changing the email.
+ * 
+ * Usage: router.post('/share', protect, requireVerifiedEmail, handler)
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user || !req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address first'
+    });
+  }
+
+  next();
+};
+
+// ======================
+// Authorization Middleware
+// ======================
+
+/**
+ * authorize - Only allow users whose role grants every listed permission
+ * 
+ * Must be used after protect. Permissions and roles live in config/roles.js.
+ * 
+ * Usage: router.get('/users', protect, authorize('users:read'), handler)
+ * 
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} - Express middleware
+ */
+const authorize = (...permissions) => (req, res, next) => {
+  if (!req.user || !permissions.every(permission => req.user.hasPermission(permission))) {
+    return res.status(403).json({
+      success: false,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+// Export the authentication middleware
+module.exports = {
+  protect,
+  allowAccessTokens,
+  requireScope,
+  requireVerifiedEmail,
+  authorize
+};
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * middleware/rateLimit.js - Request Rate Limiting Middleware
+ *
+ * This middleware limits how often an endpoint can be called per key
+ * (client IP, email address, ...) within a fixed time window.
+ * Throttled requests get a 429 response with a Retry-After header.
+ *
+ * Counters are kept in the store from utils/rateLimitStore.js.
+ */
+
+// Import required packages
+const { getStore } = require('../utils/rateLimitStore');
+
+// ======================
+// Response Helper
+// ======================
+
+/**
+ * sendTooManyRequests - Send a 429 response with Retry-After
+ *
+ * @param {Object} res - Express response object
+ * @param {number} retryAfter - Seconds until the client may try again
+ * @param {string} [message] - Error message
+ */
+const sendTooManyRequests = (res, retryAfter, message = 'Too many requests, please try again later') => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter
+  });
+};
+
+// ======================
+// Rate Limit Middleware
+// ======================
+
+/**
+ * rateLimit - Create a fixed-window rate limiting middleware
+ *
+ * Every request counts against each key returned by `keys`. Once any key
+ * goes over `max` within `windowMs`, requests are refused until the window ends.
+ *
+ * Usage:
+ *   router.post('/forgot-password', rateLimit({
+ *     name: 'forgot',
+ *     max: 5,
+ *     windowMs: 60 * 60 * 1000,
+ *     keys: req => [req.ip, req.body.email]
+ *   }), handler)
+ *
+ * @param {Object} options
+ * @param {string} options.name - Prefix for counter keys
+ * @param {number} options.max - Allowed requests per window per key
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} [options.keys] - (req) => array of key values (default: client IP)
+ * @param {string} [options.message] - Message for throttled requests
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = ({ name, max, windowMs, keys = req => [req.ip], message }) => {
+  return async (req, res, next) => {
+    try {
+      const store = getStore();
+      let retryAfter = 0;
+
+      // Skip empty values (e.g. no email in the body) and normalize the rest
+      const values = keys(req)
+        .filter(value => value !== undefined && value !== null && value !== '')
+        .map(value => String(value).trim().toLowerCase());
+
+      for (const value of values) {
+        const record = await store.increment(`${name}:${value}`, windowMs);
+
+        if (record.count > max) {
+          const seconds = Math.ceil((record.expiresAt.getTime() - Date.now()) / 1000);
+          retryAfter = Math.max(retryAfter, seconds, 1);
+        }
+      }
+
+      if (retryAfter > 0) {
+        return sendTooManyRequests(res, retryAfter, message);
+      }
+
+      next();
+    } catch (error) {
+      // Never lock everyone out because the counter store is unavailable
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+// Export rate limiting helpers
+module.exports = { rateLimit, sendTooManyRequests };
@@ -0,0 +1,104 @@
+/**
+ * models/AccessToken.js - Personal Access Token Database Schema
+ *
+ * This file defines the Mongoose schema for personal access tokens (PATs).
+ * Users create them for integrations (Shortcuts, smart bottles, home
+ * automation) instead of sharing their login. Each token is limited to the
+ * scopes it was created with and can be revoked at any time.
+ *
+ * Only a SHA-256 hash of the token is stored; the token itself is shown once.
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+const { SCOPES } = require('../config/scopes');
+
+// ======================
+// AccessToken Schema Definition
+// ======================
+
+const AccessTokenSchema = new mongoose.Schema({
+
+  // User the token acts as
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Label chosen by the user (e.g. "Smart bottle")
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot be more than 100 characters']
+  },
+
+  // SHA-256 hash of the token (the token itself is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Start of the token, so users can tell their tokens apart (e.g. "bhp_x7Kq")
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  // What the token may do (e.g. ['water:read'])
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+
+  // null means the token never expires
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Last time the token was used
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set when the user revokes the token
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Enable automatic createdAt and updatedAt timestamps
+  timestamps: true
+});
+
+// Index for listing a user's active tokens
+AccessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB remove tokens once they expire (tokens without expiry are kept)
+AccessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// Schema Methods
+// ======================
+
+/**
+ * isActive - Instance method to check if the token can still be used
+ *
+ * @returns {boolean} - True if the token is neither revoked nor expired
+ */
+AccessTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// ======================
+// Model Export
+// ======================
+
+module.exports = mongoose.models.AccessToken || mongoose.model('AccessToken', AccessTokenSchema);
@@ -0,0 +1,60 @@
+/**
+ * models/AuthCode.js - One-Time Authorization Code Database Schema
+ *
+ * This file defines the Mongoose schema for the short-lived codes used to hand
+ * a browser OAuth login back to the mobile app. The OAuth callback redirects
+ * to the app with a code (never a token); the app exchanges the code plus its
+ * PKCE code_verifier for tokens at POST /api/auth/oauth/exchange.
+ * Only a hash of the code is stored.
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+
+// ======================
+// AuthCode Schema Definition
+// ======================
+
+const AuthCodeSchema = new mongoose.Schema({
+
+  // SHA-256 hash of the code sent to the app
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // User the code signs in as
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Provider the user signed in with (for logging)
+  provider: {
+    type: String,
+    required: true
+  },
+
+  // The app's PKCE challenge: the exchange must present the matching verifier
+  codeChallenge: {
+    type: String,
+    required: true
+  },
+
+  // When the code stops being accepted
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove codes once they have expired
+AuthCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// Model Export
+// ======================
+
+module.exports = mongoose.models.AuthCode || mongoose.model('AuthCode', AuthCodeSchema);
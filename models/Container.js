@@ -0,0 +1,59 @@
+/**
+ * models/Container.js - Drink Container Presets
+ *
+ * Containers a user drinks from ("My bottle" = 750 ml), so logging a drink
+ * takes one tap. A water entry logged with a preset copies its volume and
+ * beverage; editing the preset later does not change existing entries.
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+const { BEVERAGE_TYPES, MAX_ENTRY_ML } = require('../config/hydration');
+
+// ======================
+// Container Schema Definition
+// ======================
+
+const ContainerSchema = new mongoose.Schema({
+
+  // User the preset belongs to
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Label chosen by the user (e.g. "Gym bottle")
+  name: {
+    type: String,
+    required: [true, 'Container name is required'],
+    trim: true,
+    maxlength: [50, 'Container name cannot be more than 50 characters']
+  },
+
+  // Volume in millilitres
+  volumeMl: {
+    type: Number,
+    required: [true, 'Container volume is required'],
+    min: [1, 'Container volume must be positive'],
+    max: [MAX_ENTRY_ML, `Container volume must be at most ${MAX_ENTRY_ML} ml`]
+  },
+
+  // What the user usually drinks from it
+  beverage: {
+    type: String,
+    enum: {
+      values: BEVERAGE_TYPES,
+      message: `Beverage must be one of: ${BEVERAGE_TYPES.join(', ')}`
+    },
+    default: 'water'
+  }
+}, {
+  timestamps: true
+});
+
+// Preset names are unique per user
+ContainerSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Export the Container model
+module.exports = mongoose.models.Container || mongoose.model('Container', ContainerSchema);
@@ -0,0 +1,61 @@
+/**
+ * models/HydrationAdjustment.js - Per-Day Goal Adjustments
+ *
+ * Extra water the user needs on a particular day (a workout, hot weather,
+ * being ill). Adjustments are added on top of that day's goal version.
+ * A user has at most one adjustment of each type per day.
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+const { ADJUSTMENT_TYPES, MIN_ADJUSTMENT_ML, MAX_ADJUSTMENT_ML } = require('../config/hydration');
+
+// ======================
+// HydrationAdjustment Schema Definition
+// ======================
+
+const HydrationAdjustmentSchema = new mongoose.Schema({
+
+  // User the adjustment belongs to
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Calendar day the adjustment applies to (YYYY-MM-DD)
+  day: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be a date in YYYY-MM-DD format']
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: {
+      values: Object.keys(ADJUSTMENT_TYPES),
+      message: `Type must be one of: ${Object.keys(ADJUSTMENT_TYPES).join(', ')}`
+    }
+  },
+
+  // Millilitres added to the day's goal
+  extraMl: {
+    type: Number,
+    required: true,
+    min: [MIN_ADJUSTMENT_ML, `Extra amount must be at least ${MIN_ADJUSTMENT_ML} ml`],
+    max: [MAX_ADJUSTMENT_ML, `Extra amount must be at most ${MAX_ADJUSTMENT_ML} ml`]
+  },
+
+  notes: {
+    type: String,
+    maxlength: 200
+  }
+}, {
+  timestamps: true
+});
+
+HydrationAdjustmentSchema.index({ user: 1, day: 1, type: 1 }, { unique: true });
+
+// Export the HydrationAdjustment model
+module.exports = mongoose.models.HydrationAdjustment || mongoose.model('HydrationAdjustment', HydrationAdjustmentSchema);
@@ -0,0 +1,81 @@
+/**
+ * models/HydrationGoal.js - Daily Hydration Goal Versions
+ *
+ * Every change to a user's daily goal (a new weight or activity level, a
+ * manual override) adds a new version instead of overwriting the old one.
+ * A past day is judged against the version that was in effect on it, so
+ * changing the goal today does not rewrite history.
+ *
+ * Versions are created by utils/hydrationGoals.js.
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+
+// ======================
+// HydrationGoal Schema Definition
+// ======================
+
+const HydrationGoalSchema = new mongoose.Schema({
+
+  // User the goal belongs to
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 1 for the first goal, incremented on every change
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // When this version took over from the previous one
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+
+  // Daily goal in millilitres, before per-day adjustments
+  volumeMl: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Goal derived from the profile (kept even when overridden)
+  calculatedMl: {
+    type: Number,
+    required: true
+  },
+
+  // Goal chosen by the user (null when the calculated goal is used)
+  manualMl: {
+    type: Number,
+    default: null
+  },
+
+  // Profile values the calculated goal was derived from
+  inputs: {
+    weightKg: { type: Number, default: null },
+    age: { type: Number, default: null },
+    activityLevel: { type: String, default: null }
+  },
+
+  // What caused the new version ('age': the user moved into another age band)
+  reason: {
+    type: String,
+    enum: ['initial', 'profile', 'manual', 'age'],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One document per version; also serves "latest version" lookups
+HydrationGoalSchema.index({ user: 1, version: -1 }, { unique: true });
+
+// Export the HydrationGoal model
+module.exports = mongoose.models.HydrationGoal || mongoose.model('HydrationGoal', HydrationGoalSchema);
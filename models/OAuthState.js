@@ -0,0 +1,65 @@
+/**
+ * models/OAuthState.js - Pending OAuth Request Database Schema
+ *
+ * This file defines the Mongoose schema for browser OAuth requests that have
+ * been sent to a provider but not completed yet. The random `state` handle
+ * ties the provider callback to the request that started it (CSRF protection),
+ * and the record carries the PKCE verifier for the provider plus the app's
+ * redirect URI and code challenge. Records are deleted on first use.
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+
+// ======================
+// OAuthState Schema Definition
+// ======================
+
+const OAuthStateSchema = new mongoose.Schema({
+
+  // SHA-256 hash of the state handle sent to the provider
+  handleHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Provider the request was sent to
+  provider: {
+    type: String,
+    required: true
+  },
+
+  // PKCE code verifier for the provider's token endpoint (if PKCE is used)
+  codeVerifier: {
+    type: String,
+    default: null
+  },
+
+  // Where to send the browser back into the app
+  redirectUri: {
+    type: String,
+    required: true
+  },
+
+  // The app's PKCE challenge (S256) for the one-time code exchange
+  codeChallenge: {
+    type: String,
+    required: true
+  },
+
+  // Users have this long to finish signing in at the provider
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove abandoned requests
+OAuthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// Model Export
+// ======================
+
+module.exports = mongoose.models.OAuthState || mongoose.model('OAuthState', OAuthStateSchema);
@@ -0,0 +1,51 @@
+/**
+ * models/RateLimit.js - Rate Limit Counter Database Schema
+ *
+ * This file defines the Mongoose schema used by the MongoDB rate limit store
+ * (RATE_LIMIT_STORE=mongo). Counters live here instead of in process memory
+ * so that several server instances share the same limits.
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+
+// ======================
+// RateLimit Schema Definition
+// ======================
+
+const RateLimitSchema = new mongoose.Schema({
+
+  // Counter key, e.g. "login:ip:1.2.3.4" or "login:account:user@example.com"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Number of hits (requests or failures) in the current window
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // Requests for this key are refused until this time
+  blockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // When the counter resets
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove counters once their window is over
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// Model Export
+// ======================
+
+module.exports = mongoose.models.RateLimit || mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,72 @@
+/**
+ * models/RefreshToken.js - Refresh Token Database Schema
+ *
+ * This file defines the Mongoose schema for opaque refresh tokens.
+ * Only a SHA-256 hash of each token is stored, never the token itself.
+ *
+ * Every login starts a new token "family". Each time a refresh token is used
+ * it is replaced by a new one in the same family (rotation). If an already
+ * used token is presented again, the whole family is revoked (reuse detection).
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+
+// ======================
+// RefreshToken Schema Definition
+// ======================
+
+const RefreshTokenSchema = new mongoose.Schema({
+
+  // User this token belongs to
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // SHA-256 hash of the opaque token sent to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Identifier shared by every token descended from the same login
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // When this token stops being accepted
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set once the token has been used (rotated) or revoked
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Hash of the token that replaced this one during rotation
+  replacedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  // Enable automatic createdAt and updatedAt timestamps
+  timestamps: true
+});
+
+// Let MongoDB remove tokens once they have expired
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// Model Export
+// ======================
+
+module.exports = mongoose.models.RefreshToken || mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,92 @@
+/**
+ * models/SecurityEvent.js - Security Audit Log Database Schema
+ *
+ * This file defines the Mongoose schema for the security audit log.
+ * One document is written for every security-relevant account event
+ * (sign-ins, failed sign-ins, password resets, provider links, session
+ * revocations, ...) so users and support can see what happened and when.
+ *
+ * Events are removed automatically after the retention period
+ * (SECURITY_EVENT_RETENTION_DAYS, see utils/securityEvents.js).
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+
+// ======================
+// SecurityEvent Schema Definition
+// ======================
+
+const SecurityEventSchema = new mongoose.Schema({
+
+  // Account the event belongs to (null for failed sign-ins to unknown emails)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Staff member who performed the action (admin actions only)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Email the event was for, kept so events survive email changes
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  // Event type, e.g. "login.success" (see EVENT_TYPES in utils/securityEvents.js)
+  type: {
+    type: String,
+    required: true
+  },
+
+  // Client the request came from
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+
+  // Event specific details (sign-in method, provider, session ID, ...).
+  // Never contains secrets such as passwords or tokens.
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // When MongoDB removes the event
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  // Events are never updated, so only createdAt is needed
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// A user's own history, newest first
+SecurityEventSchema.index({ user: 1, createdAt: -1 });
+
+// Admin queries across users
+SecurityEventSchema.index({ type: 1, createdAt: -1 });
+SecurityEventSchema.index({ email: 1, createdAt: -1 });
+SecurityEventSchema.index({ actor: 1, createdAt: -1 });
+
+// Let MongoDB remove events once the retention period is over
+SecurityEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ======================
+// Model Export
+// ======================
+
+module.exports = mongoose.models.SecurityEvent || mongoose.model('SecurityEvent', SecurityEventSchema);
@@ -0,0 +1,83 @@
+/**
+ * models/Session.js - Login Session Database Schema
+ *
+ * This file defines the Mongoose schema for login sessions.
+ * A session is created every time a user signs in on a device and lives
+ * until the user logs out or revokes it. Access tokens carry the session ID
+ * (sid claim) and refresh tokens use it as their token family.
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+
+// ======================
+// Session Schema Definition
+// ======================
+
+const SessionSchema = new mongoose.Schema({
+
+  // User who signed in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Human readable device name sent by the app (e.g. "Kunj's iPhone")
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+
+  // User-Agent header of the request that created the session
+  userAgent: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+
+  // IP address the session was created from
+  ip: {
+    type: String,
+    default: null
+  },
+
+  // Last time an access or refresh token from this session was used
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Set when the user logs out or revokes the session
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  // Enable automatic createdAt and updatedAt timestamps
+  timestamps: true
+});
+
+// Index for listing a user's active sessions
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+// ======================
+// Schema Methods
+// ======================
+
+/**
+ * isActive - Instance method to check if the session can still be used
+ *
+ * @returns {boolean} - True if the session has not been revoked
+ */
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt;
+};
+
+// ======================
+// Model Export
+// ======================
+
+module.exports = mongoose.models.Session || mongoose.model('Session', SessionSchema);
@@ -8,6 +8,47 @@
 // Import required packages
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { verifyCode, normalizeRecoveryCode } = require('../utils/totp');
+const { encryptedString } = require('../utils/fieldEncryption');
+const { isValidTimeZone } = require('../utils/timeZones');
+const { ROLE_NAMES, getPermissions } = require('../config/roles');
+const { VOLUME_UNITS } = require('../config/hydration');
+
+// ======================
+// Profile Validators
+// ======================
+
+// Oldest plausible age for a date of birth
+const MAX_AGE_YEARS = 120;
+
+/**
+ * isPlausibleDateOfBirth - Date of birth is in the past and not absurdly old
+ *
+ * @param {Date|null} value
+ * @returns {boolean}
+ */
+const isPlausibleDateOfBirth = (value) => {
+  if (value === null || value === undefined) return true;
+
+  const oldest = new Date();
+  oldest.setFullYear(oldest.getFullYear() - MAX_AGE_YEARS);
+  return value < new Date() && value > oldest;
+};
+
+/**
+ * isValidLocale - Whether a string is a well-formed BCP 47 language tag
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidLocale = (value) => {
+  try {
+    return Intl.getCanonicalLocales(value).length === 1;
+  } catch (error) {
+    return false;
+  }
+};
 
 // ======================
 // User Schema Definition
@@ -38,8 +79,47 @@ const UserSchema = new mongoose.Schema({
     lowercase: true
   },
 
+  // Whether the user has confirmed they own the email address
+  // Set by the verification link, or by OAuth providers that verify emails
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  // When the last verification email was sent (used for resend cooldown)
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
+
+  // Email change (POST /api/user/email-change): the new address is only
+  // used once the link sent to it is opened. The old address gets a cancel
+  // link that also undoes a completed change for a few days.
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  emailChangeToken: {
+    type: String,
+    select: false
+  },
+  emailChangeExpire: Date,
+  emailChangeCancelToken: {
+    type: String,
+    select: false
+  },
+  emailChangeCancelExpire: Date,
+  // Address before the change, restored by the cancel link
+  emailChangePreviousEmail: {
+    type: String,
+    select: false
+  },
+
   // User's password hash (only stored for email/password auth)
   // Required only if user doesn't have OAuth providers
+  // Length/strength rules live in utils/passwordPolicy.js, since only the hash reaches the schema
   // Not selected by default (select: false) for security
   password: {
     type: String,
@@ -47,40 +127,221 @@ const UserSchema = new mongoose.Schema({
       // Password is required only if user has no OAuth providers
       return !this.oauthProviders || this.oauthProviders.length === 0;
     },
-    minlength: 6,
     select: false // Exclude from queries by default for security
   },
 
-  // User's profile avatar URL
+  // User's profile avatar URL (an uploaded avatar's large size, a provider
+  // photo, or a URL set through the profile)
   avatar: {
     type: String,
     default: null
   },
 
-  // Authentication method used to create account
+  // URLs of every size of an uploaded avatar (see utils/avatars.js)
+  avatarThumbnails: {
+    small: String,
+    large: String
+  },
+
+  // Storage keys of the uploaded avatar files, used to delete them later
+  avatarKeys: {
+    type: [String],
+    default: []
+  },
+
+  // ======================
+  // Health Profile & Preferences
+  // ======================
+
+  // Used by the hydration logic; all optional. Body measurements are
+  // always stored in metric, `units` only controls how the app shows them.
+
+  dateOfBirth: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: isPlausibleDateOfBirth,
+      message: `Date of birth must be in the past and at most ${MAX_AGE_YEARS} years ago`
+    }
+  },
+
+  sex: {
+    type: String,
+    enum: {
+      values: ['female', 'male', 'other', 'prefer_not_to_say'],
+      message: 'Sex must be female, male, other or prefer_not_to_say'
+    },
+    default: null
+  },
+
+  heightCm: {
+    type: Number,
+    min: [50, 'Height must be at least 50 cm'],
+    max: [275, 'Height must be at most 275 cm'],
+    default: null
+  },
+
+  weightKg: {
+    type: Number,
+    min: [20, 'Weight must be at least 20 kg'],
+    max: [500, 'Weight must be at most 500 kg'],
+    default: null
+  },
+
+  activityLevel: {
+    type: String,
+    enum: {
+      values: ['sedentary', 'light', 'moderate', 'active', 'very_active'],
+      message: 'Activity level must be sedentary, light, moderate, active or very_active'
+    },
+    default: null
+  },
+
+  // IANA time zone, e.g. "Asia/Kolkata" (decides when the user's day starts)
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Timezone must be an IANA time zone such as Europe/London'
+    }
+  },
+
+  // BCP 47 language tag, e.g. "en-IN" (used to format dates and numbers)
+  locale: {
+    type: String,
+    default: 'en',
+    validate: {
+      validator: isValidLocale,
+      message: 'Locale must be a language tag such as en-IN'
+    }
+  },
+
+  // Preferred measurement system for display
+  units: {
+    type: String,
+    enum: {
+      values: ['metric', 'imperial'],
+      message: 'Units must be metric or imperial'
+    },
+    default: 'metric'
+  },
+
+  // Unit water amounts are shown in (null: ml for metric, fl_oz for imperial)
+  volumeUnit: {
+    type: String,
+    enum: {
+      values: Object.keys(VOLUME_UNITS),
+      message: `Volume unit must be one of: ${Object.keys(VOLUME_UNITS).join(', ')}`
+    },
+    default: null
+  },
+
+  // Primary sign-in method: 'email' when the account has a password,
+  // otherwise its first linked OAuth provider (kept up to date by refreshAuthMethod)
   authMethod: {
     type: String,
-    enum: ['email', 'google'],
+    enum: ['email', 'google', 'github'],
     default: 'email'
   },
 
+  // Role deciding what the user may do (see config/roles.js)
+  role: {
+    type: String,
+    enum: ROLE_NAMES,
+    default: 'user'
+  },
+
+  // Set by an admin to block the account (sign-in and API access)
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+  disabledReason: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+
+  // Set by an admin: password sign-in is refused until the password is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+
   // Array of OAuth providers linked to this account
   // Allows users to have multiple auth methods
   oauthProviders: [{
-    // OAuth provider name (currently supports Google)
+    // OAuth provider name
     provider: {
       type: String,
-      enum: ['google']
+      enum: ['google', 'github']
     },
     // Unique identifier from OAuth provider
     providerId: String,
-    // Access token for API calls (if needed)
-    accessToken: String,
-    // Refresh token for token renewal
-    refreshToken: String
+    // Access token for API calls (if needed), encrypted at rest
+    accessToken: encryptedString({ select: false }),
+    // Refresh token for token renewal, encrypted at rest
+    refreshToken: encryptedString({ select: false }),
+    // When the provider was linked to this account
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
-  resetPasswordToken: String,
+
+  // Password reset: hash of the emailed token
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
   resetPasswordExpire: Date,
+
+  // Passwordless sign-in: hashes of the emailed link token and 6-digit code
+  // Kept separate from the reset fields so a pending reset is not overwritten
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkCode: {
+    type: String,
+    select: false
+  },
+  magicLinkExpire: Date,
+
+  // When the account (and all its data) will be permanently deleted
+  // Set by DELETE /api/user; cleared if the user signs in again before then
+  deletionScheduledAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+
+  // ======================
+  // Two-Factor Authentication (TOTP)
+  // ======================
+
+  // Whether login requires a TOTP or recovery code
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+
+  // Base32 TOTP secret (set during setup, active once 2FA is enabled),
+  // encrypted at rest
+  twoFactorSecret: encryptedString({ select: false }),
+
+  // SHA-256 hashes of unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+
+  // Time step of the last accepted TOTP code (prevents replaying a code)
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
 }
 , {
   // Enable automatic createdAt and updatedAt timestamps
@@ -109,6 +370,8 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
 /**
  * isOAuthOnly - Instance method to check if user uses only OAuth authentication
  * 
+ * Requires the password field to be selected (.select('+password')).
+ * 
  * @returns {boolean} - True if user has OAuth providers but no password
  * 
  * Helps determine if user can change password or is OAuth-only
@@ -117,6 +380,142 @@ UserSchema.methods.isOAuthOnly = function() {
   return this.oauthProviders && this.oauthProviders.length > 0 && !this.password;
 };
 
+/**
+ * getProvider - Instance method to find a linked OAuth provider
+ * 
+ * @param {string} provider - Provider name (e.g. 'google')
+ * @returns {Object|undefined} - The oauthProviders entry, if linked
+ */
+UserSchema.methods.getProvider = function(provider) {
+  return (this.oauthProviders || []).find(p => p.provider === provider);
+};
+
+/**
+ * getSignInMethods - Instance method listing every way the user can sign in
+ * 
+ * Requires the password field to be selected (.select('+password')).
+ * 
+ * @returns {string[]} - e.g. ['password', 'google']
+ */
+UserSchema.methods.getSignInMethods = function() {
+  const methods = this.password ? ['password'] : [];
+  return methods.concat((this.oauthProviders || []).map(p => p.provider));
+};
+
+/**
+ * refreshAuthMethod - Instance method to derive authMethod from the real state
+ * 
+ * Call after adding/removing the password or a provider.
+ * Requires the password field to be selected (.select('+password')).
+ */
+UserSchema.methods.refreshAuthMethod = function() {
+  if (this.password) {
+    this.authMethod = 'email';
+  } else if (this.oauthProviders && this.oauthProviders.length > 0) {
+    this.authMethod = this.oauthProviders[0].provider;
+  }
+};
+
+/**
+ * hasPermission - Instance method to check a permission from the user's role
+ * 
+ * @param {string} permission - Permission from config/roles.js
+ * @returns {boolean}
+ */
+UserSchema.methods.hasPermission = function(permission) {
+  return getPermissions(this.role).includes(permission);
+};
+
+/**
+ * isDisabled - Instance method to check if an admin disabled the account
+ * 
+ * @returns {boolean}
+ */
+UserSchema.methods.isDisabled = function() {
+  return !!this.disabledAt;
+};
+
+/**
+ * createPasswordResetToken - Instance method to start a password reset
+ * 
+ * Stores a hash of a new reset token (valid 1 hour); the caller must save
+ * the document and email the returned token.
+ * 
+ * @returns {string} - Plaintext reset token
+ */
+UserSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpire = Date.now() + 3600000; // 1 hour
+
+  return resetToken;
+};
+
+// ======================
+// Schema Statics
+// ======================
+
+/**
+ * findByProvider - Static method to find the user an OAuth identity is linked to
+ * 
+ * @param {string} provider - Provider name (e.g. 'google')
+ * @param {string} providerId - User ID at the provider
+ * @returns {Query} - Mongoose query resolving to the user or null
+ */
+UserSchema.statics.findByProvider = function(provider, providerId) {
+  return this.findOne({
+    oauthProviders: { $elemMatch: { provider, providerId: String(providerId) } }
+  });
+};
+
+/**
+ * verifyTwoFactorCode - Instance method to check a TOTP or recovery code
+ * 
+ * Requires twoFactorSecret, twoFactorRecoveryCodes and twoFactorLastUsedStep
+ * to be selected. On success the code is consumed in the database (the TOTP
+ * step is recorded, a recovery code is removed) with a conditional update,
+ * so two concurrent requests with the same code cannot both succeed.
+ * 
+ * @param {string} code - 6-digit TOTP code or a recovery code
+ * @returns {Promise<boolean>} - True if the code was accepted
+ */
+UserSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactorSecret) return false;
+
+  const User = this.constructor;
+
+  // Authenticator app code: only record the step if no later one was used
+  const step = verifyCode(this.twoFactorSecret, code, this.twoFactorLastUsedStep);
+  if (step !== null) {
+    const result = await User.updateOne(
+      {
+        _id: this._id,
+        $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+      },
+      { twoFactorLastUsedStep: step }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  // One-time recovery code: only one request can pull it
+  const hash = crypto
+    .createHash('sha256')
+    .update(normalizeRecoveryCode(code))
+    .digest('hex');
+
+  if (!(this.twoFactorRecoveryCodes || []).includes(hash)) return false;
+
+  const result = await User.updateOne(
+    { _id: this._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
 // ======================
 // Model Export
 // ======================
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { BEVERAGE_TYPES, BEVERAGE_COEFFICIENTS, MAX_ENTRY_ML } = require('../config/hydration');
 
 const WaterSchema = new mongoose.Schema({
   user: {
@@ -11,11 +12,33 @@ const WaterSchema = new mongoose.Schema({
     required: true,
     default: Date.now
   },
-  glasses: {
+  // Amount drunk, in millilitres (the API converts to the user's unit)
+  volumeMl: {
     type: Number,
     required: true,
-    min: [0, 'Glasses cannot be negative'],
-    max: [50, 'Maximum 50 glasses per entry']
+    min: [0, 'Amount cannot be negative'],
+    max: [MAX_ENTRY_ML, `Maximum ${MAX_ENTRY_ML} ml per entry`]
+  },
+  beverage: {
+    type: String,
+    enum: {
+      values: BEVERAGE_TYPES,
+      message: `Beverage must be one of: ${BEVERAGE_TYPES.join(', ')}`
+    },
+    default: 'water'
+  },
+  // Millilitres counted towards the daily goal (volume × the beverage's
+  // coefficient when the entry was saved, so later coefficient changes
+  // do not rewrite history)
+  hydrationMl: {
+    type: Number,
+    required: true
+  },
+  // Container preset the entry was logged with, if any
+  container: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Container',
+    default: null
   },
   notes: {
     type: String,
@@ -25,7 +48,14 @@ const WaterSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Recompute the hydration amount whenever the volume or beverage changes
+WaterSchema.pre('validate', function () {
+  if (this.isModified('volumeMl') || this.isModified('beverage') || this.hydrationMl === undefined) {
+    this.hydrationMl = Math.round(this.volumeMl * (BEVERAGE_COEFFICIENTS[this.beverage] ?? 1));
+  }
+});
+
 // Compound index for efficient queries
 WaterSchema.index({ user: 1, date: -1 });
 
-module.exports = mongoose.model('Water', WaterSchema);
\ No newline at end of file
+module.exports = mongoose.model('Water', WaterSchema);
@@ -0,0 +1,549 @@
+/**
+ * routes/admin.js - Admin Routes
+ *
+ * This file handles endpoints for support staff:
+ * - Search users and view account details
+ * - View a user's water history (read-only)
+ * - Disable / enable accounts
+ * - Force a password reset
+ * - Revoke a user's sessions
+ * - Change a user's role
+ * - Query the security audit log across users
+ *
+ * Every route requires a permission from config/roles.js (see authorize in
+ * middleware/auth.js). Every admin action, including reads, is recorded in
+ * the security audit log with the staff member as `actor`.
+ */
+
+// Import required packages
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Water = require('../models/Water');
+const { protect, authorize } = require('../middleware/auth');
+const { revokeUserSessions } = require('../utils/sessions');
+const { revokeUserAccessTokens } = require('../utils/accessTokens');
+const { sendResetEmail } = require('../utils/emailSender');
+const { ROLE_NAMES } = require('../config/roles');
+const { serializeUser, serializeWater } = require('../utils/serializers');
+const {
+  recordSecurityEvent,
+  buildEventQuery,
+  findSecurityEvents
+} = require('../utils/securityEvents');
+
+// Create router instance
+const router = express.Router();
+
+// Every admin route requires a signed-in user (permissions are checked per route)
+router.use(protect);
+
+// Page size limits for list endpoints
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// ======================
+// Helpers
+// ======================
+
+/**
+ * recordAdminAction - Record an admin action in the security audit log
+ *
+ * @param {Object} req - Express request object (req.user is the staff member)
+ * @param {string} type - admin.* event type
+ * @param {Object|null} target - User the action was taken on
+ * @param {Object} [metadata] - Extra details
+ * @returns {Promise<void>}
+ */
+const recordAdminAction = (req, type, target, metadata = {}) => {
+  return recordSecurityEvent(req, type, { user: target, actor: req.user, metadata });
+};
+
+/**
+ * getPageSize - Parse the limit query parameter
+ *
+ * @param {*} limit - req.query.limit
+ * @returns {number}
+ */
+const getPageSize = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+/**
+ * loadTargetUser - Load the user named by the :id parameter
+ * (sets req.targetUser, or responds 404)
+ *
+ * Must come after authorize(), so callers without the permission cannot
+ * probe which user IDs exist.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loadTargetUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const user = mongoose.isValidObjectId(id) && await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * refuseSelf - Stop staff from disabling or demoting their own account
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} - True if a response was sent
+ */
+const refuseSelf = (req, res) => {
+  if (req.targetUser._id.equals(req.user._id)) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account'
+    });
+    return true;
+  }
+  return false;
+};
+
+// ======================
+// Users
+// ======================
+
+/**
+ * GET /api/admin/users
+ *
+ * Search users, newest first.
+ *
+ * Permission: users:read
+ *
+ * Query parameters (all optional):
+ * - q: text found in the name or email
+ * - role: role name
+ * - disabled: 'true' or 'false'
+ * - page: page number (default 1)
+ * - limit: page size (default 50, max 200)
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   count: number,
+ *   total: number,
+ *   page: number,
+ *   data: [user]
+ * }
+ */
+router.get('/users', authorize('users:read'), async (req, res) => {
+  try {
+    const { q, role, disabled } = req.query;
+    const filter = {};
+
+    if (q) {
+      // Escape the search text so it is matched literally
+      const pattern = new RegExp(String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      if (!ROLE_NAMES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Role must be one of: ${ROLE_NAMES.join(', ')}`
+        });
+      }
+      filter.role = role;
+    }
+
+    if (disabled === 'true') filter.disabledAt = { $ne: null };
+    if (disabled === 'false') filter.disabledAt = null;
+
+    const limit = getPageSize(req.query.limit);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    await recordAdminAction(req, 'admin.users_searched', null, { q: q || null, role: role || null, disabled: disabled || null });
+
+    res.json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      data: users.map(user => serializeUser(user, 'admin'))
+    });
+  } catch (error) {
+    console.error('Admin user search error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users/:id
+ *
+ * Account details of one user.
+ *
+ * Permission: users:read
+ */
+router.get('/users/:id', authorize('users:read'), loadTargetUser, async (req, res) => {
+  try {
+    await recordAdminAction(req, 'admin.user_viewed', req.targetUser);
+
+    res.json({
+      success: true,
+      data: serializeUser(req.targetUser, 'admin')
+    });
+  } catch (error) {
+    console.error('Admin view user error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users/:id/water
+ *
+ * A user's water intake history, newest first (read-only).
+ *
+ * Permission: users:water:read
+ *
+ * Query parameters (all optional):
+ * - from, to: ISO dates
+ * - limit: number of entries (default 50, max 200)
+ */
+router.get('/users/:id/water', authorize('users:water:read'), loadTargetUser, async (req, res) => {
+  try {
+    const filter = { user: req.targetUser._id };
+
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!req.query[param]) continue;
+
+      const date = new Date(req.query[param]);
+      if (isNaN(date.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${param} date`
+        });
+      }
+      filter.date = { ...filter.date, [operator]: date };
+    }
+
+    const entries = await Water.find(filter)
+      .sort({ date: -1 })
+      .limit(getPageSize(req.query.limit))
+      .lean();
+
+    await recordAdminAction(req, 'admin.water_viewed', req.targetUser, {
+      from: req.query.from || null,
+      to: req.query.to || null
+    });
+
+    res.json({
+      success: true,
+      count: entries.length,
+      data: entries.map(entry => serializeWater(entry, 'admin'))
+    });
+  } catch (error) {
+    console.error('Admin water history error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Account Actions
+// ======================
+
+/**
+ * POST /api/admin/users/:id/disable
+ *
+ * Disable an account: the user is signed out everywhere and can no longer
+ * sign in or use personal access tokens until the account is enabled again.
+ *
+ * Permission: users:manage
+ *
+ * Request body:
+ * {
+ *   reason: string (optional, shown to staff only)
+ * }
+ */
+router.post('/users/:id/disable', authorize('users:manage'), loadTargetUser, async (req, res) => {
+  try {
+    if (refuseSelf(req, res)) return;
+
+    const user = req.targetUser;
+    const reason = req.body && req.body.reason ? String(req.body.reason).slice(0, 500) : null;
+
+    user.disabledAt = new Date();
+    user.disabledReason = reason;
+    await user.save();
+
+    const revoked = await revokeUserSessions(user._id);
+    await recordAdminAction(req, 'admin.user_disabled', user, { reason, sessionsRevoked: revoked });
+
+    res.json({
+      success: true,
+      message: 'Account disabled',
+      data: serializeUser(user, 'admin')
+    });
+  } catch (error) {
+    console.error('Admin disable user error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/enable
+ *
+ * Enable a disabled account again.
+ *
+ * Permission: users:manage
+ */
+router.post('/users/:id/enable', authorize('users:manage'), loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    user.disabledAt = null;
+    user.disabledReason = null;
+    await user.save();
+
+    await recordAdminAction(req, 'admin.user_enabled', user);
+
+    res.json({
+      success: true,
+      message: 'Account enabled',
+      data: serializeUser(user, 'admin')
+    });
+  } catch (error) {
+    console.error('Admin enable user error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/force-password-reset
+ *
+ * Sign the user out everywhere, revoke their personal access tokens, refuse
+ * every sign-in method (and token use) and email a reset link. Sign-in works
+ * again once the password has been reset.
+ *
+ * Permission: users:manage
+ */
+router.post('/users/:id/force-password-reset', authorize('users:manage'), loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    const resetToken = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save();
+
+    const revoked = await revokeUserSessions(user._id);
+    const tokensRevoked = await revokeUserAccessTokens(user._id);
+    const emailSent = await sendResetEmail(user.email, resetToken);
+
+    await recordAdminAction(req, 'admin.password_reset_forced', user, { sessionsRevoked: revoked, tokensRevoked, emailSent });
+
+    res.json({
+      success: true,
+      message: emailSent
+        ? 'Password reset required, reset email sent'
+        : 'Password reset required, but the reset email could not be sent',
+      emailSent
+    });
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/revoke-sessions
+ *
+ * Sign the user out on every device and revoke their personal access tokens.
+ *
+ * Permission: users:manage
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   revoked: number of sessions revoked,
+ *   tokensRevoked: number of personal access tokens revoked
+ * }
+ */
+router.post('/users/:id/revoke-sessions', authorize('users:manage'), loadTargetUser, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.targetUser._id);
+    const tokensRevoked = await revokeUserAccessTokens(req.targetUser._id);
+
+    await recordAdminAction(req, 'admin.sessions_revoked', req.targetUser, { revoked, tokensRevoked });
+
+    res.json({
+      success: true,
+      revoked,
+      tokensRevoked
+    });
+  } catch (error) {
+    console.error('Admin revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/role
+ *
+ * Change a user's role.
+ *
+ * Permission: roles:manage
+ *
+ * Request body:
+ * {
+ *   role: string (see config/roles.js)
+ * }
+ */
+router.put('/users/:id/role', authorize('roles:manage'), loadTargetUser, async (req, res) => {
+  try {
+    if (refuseSelf(req, res)) return;
+
+    const { role } = req.body || {};
+
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLE_NAMES.join(', ')}`
+      });
+    }
+
+    const user = req.targetUser;
+    const previousRole = user.role;
+
+    user.role = role;
+    await user.save();
+
+    await recordAdminAction(req, 'admin.role_changed', user, { from: previousRole, to: role });
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: serializeUser(user, 'admin')
+    });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Security Events
+// ======================
+
+/**
+ * GET /api/admin/security-events
+ *
+ * Security events across all users, newest first.
+ *
+ * Permission: security-events:read
+ *
+ * Query parameters (all optional):
+ * - user: user ID
+ * - actor: staff user ID (admin actions they took)
+ * - email: email address (also finds failed sign-ins to unknown emails)
+ * - ip: client IP address
+ * - type: event type, comma separated for several
+ * - from, to: ISO dates
+ * - limit: page size (default 50, max 100)
+ * - before: nextCursor from the previous page
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   count: number,
+ *   data: [{ id, user, actor, email, type, ip, userAgent, metadata, createdAt }],
+ *   nextCursor: string|null
+ * }
+ */
+router.get('/security-events', authorize('security-events:read'), async (req, res) => {
+  try {
+    const { user, actor, email, ip } = req.query;
+    const { filter, error } = buildEventQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    for (const [param, value] of [['user', user], ['actor', actor]]) {
+      if (!value) continue;
+
+      if (!mongoose.isValidObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${param} ID`
+        });
+      }
+      filter[param] = value;
+    }
+
+    if (email) filter.email = String(email).toLowerCase().trim();
+    if (ip) filter.ip = String(ip);
+
+    const { events, nextCursor } = await findSecurityEvents(filter, req.query.limit);
+
+    await recordAdminAction(req, 'admin.security_events_viewed', null, {
+      user: user || null,
+      actor: actor || null,
+      email: email || null,
+      type: req.query.type || null
+    });
+
+    res.json({
+      success: true,
+      count: events.length,
+      data: events,
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Admin security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Export router for use in app.js
+module.exports = router;
@@ -4,22 +4,103 @@
  * This file handles all authentication-related endpoints:
  * - Email/password registration and login
  * - Google OAuth authentication
+ * - Passwordless magic-link sign-in
+ * - Email address verification
+ * - Password reset and change
+ * - Token refresh, logout and session management
  * - Email existence checking
  */
 
 // Import required packages
 const express = require('express');
+const mongoose = require('mongoose');
 const passport = require('passport');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { generateToken } = require('../utils/tokens');
+const {
+  rotateRefreshToken,
+  generateToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  hashToken
+} = require('../utils/tokens');
 const crypto = require('crypto');
-const { sendResetEmail, testEmailConfig } = require('../utils/emailSender');
+const {
+  sendResetEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+  testEmailConfig
+} = require('../utils/emailSender');
+const { verifyGoogleIdToken } = require('../utils/googleIdToken');
+const { resolveOAuthUser } = require('../utils/oauthAccounts');
+const { protect } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { revokeSession, revokeUserSessions } = require('../utils/sessions');
+const { revokeUserAccessTokens } = require('../utils/accessTokens');
+const { sendAuthResponse, sendLoginResponse } = require('../utils/authResponse');
+const { rateLimit, sendTooManyRequests } = require('../middleware/rateLimit');
+const { validatePassword, sendPasswordPolicyError } = require('../utils/passwordPolicy');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { serializeUser } = require('../utils/serializers');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getRetryAfter,
+  registerFailure,
+  IP_POLICY
+} = require('../utils/bruteForce');
 
 
 // Create router instance
 const router = express.Router();
 
+// Throttle for password reset emails: per IP and per target address
+const forgotPasswordLimit = rateLimit({
+  name: 'forgot-password',
+  max: 5,
+  windowMs: 60 * 60 * 1000,
+  keys: req => [req.ip, req.body && req.body.email],
+  message: 'Too many password reset requests, please try again later'
+});
+
+// Throttle for magic sign-in emails: per IP and per target address
+const magicLinkLimit = rateLimit({
+  name: 'magic-link',
+  max: 5,
+  windowMs: 60 * 60 * 1000,
+  keys: req => [req.ip, req.body && req.body.email],
+  message: 'Too many sign-in link requests, please try again later'
+});
+
+// Magic links and codes are valid for 15 minutes
+const MAGIC_LINK_EXPIRE_MS = 15 * 60 * 1000;
+
+// Throttle for email existence checks (prevents enumerating users)
+const checkEmailLimit = rateLimit({
+  name: 'check-email',
+  max: 30,
+  windowMs: 15 * 60 * 1000
+});
+
+// Minimum time between verification emails for the same user (seconds)
+const VERIFICATION_RESEND_COOLDOWN = parseInt(process.env.EMAIL_VERIFICATION_COOLDOWN, 10) || 60;
+
+/**
+ * sendEmailVerification - Email a fresh verification link to the user
+ * 
+ * Records when it was sent so resends can be rate limited.
+ * 
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+const sendEmailVerification = async (user) => {
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  return sendVerificationEmail(user.email, generateEmailVerificationToken(user));
+};
+
 
 // Test email configuration (run once to check)
 router.get('/test-email', async (req, res) => {
@@ -47,19 +128,23 @@ router.get('/test-email', async (req, res) => {
  * POST /api/auth/register
  * 
  * Register a new user with email and password.
+ * A verification link is emailed to the address; the account can be used
+ * right away, but routes that need a verified email will refuse it until then.
  * 
  * Request body:
  * {
  *   name: string,
  *   email: string,
- *   password: string
+ *   password: string,
+ *   deviceName: string (optional, shown in the sessions list)
  * }
  * 
  * Response:
  * {
  *   success: boolean,
- *   token: JWT token,
- *   user: { id, name, email }
+ *   token: short-lived JWT access token,
+ *   refreshToken: opaque refresh token,
+ *   user: the user's own profile (see utils/serializers.js)
  * }
  */
 router.post('/register', async (req, res) => {
@@ -67,6 +152,20 @@ router.post('/register', async (req, res) => {
     // Extract user input from request body
     const { name, email, password } = req.body;
 
+    // Only plain strings reach the password policy and the email lookup
+    if (typeof name !== 'string' || !name.trim() || typeof email !== 'string' || !email.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and email are required'
+      });
+    }
+
+    // Enforce the password policy before hashing
+    const passwordErrors = validatePassword(password, { name, email });
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyError(res, passwordErrors);
+    }
+
     // Check if user already exists with this email
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -89,19 +188,17 @@ router.post('/register', async (req, res) => {
       authMethod: 'email'
     });
 
-    // Generate JWT token for immediate login
-    const token = generateToken(user._id);
+    // Send the verification link (registration still succeeds if this fails,
+    // the user can request a new link from the app)
+    const emailSent = await sendEmailVerification(user);
+    if (!emailSent) {
+      console.error('❌ Failed to send verification email to:', user.email);
+    }
 
-    // Send success response with token and user data
-    res.status(201).json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      }
-    });
+    await recordSecurityEvent(req, 'register', { user, metadata: { method: 'password' } });
+
+    // Send success response with tokens for immediate login
+    await sendAuthResponse(req, res, user, { statusCode: 201, method: 'password' });
   } catch (error) {
     // Log error for debugging
     console.error('Registration error:', error);
@@ -126,57 +223,69 @@ router.post('/register', async (req, res) => {
  * Request body:
  * {
  *   email: string,
- *   password: string
+ *   password: string,
+ *   deviceName: string (optional, shown in the sessions list)
  * }
  * 
  * Response:
  * {
  *   success: boolean,
- *   token: JWT token,
- *   user: { id, name, email }
+ *   token: short-lived JWT access token,
+ *   refreshToken: opaque refresh token,
+ *   user: the user's own profile (see utils/serializers.js)
+ * }
+ * 
+ * If 2FA is enabled the response is instead:
+ * {
+ *   success: boolean,
+ *   twoFactorRequired: true,
+ *   challengeToken: string (send to POST /api/auth/2fa/verify)
  * }
  */
 router.post('/login', async (req, res) => {
   try {
+    // Only plain strings reach the query and the lockout counters (an array
+    // or object would match other users and get its own counter key)
+    if (typeof req.body.email !== 'string' || !req.body.email.trim() ||
+        typeof req.body.password !== 'string' || !req.body.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
     // Extract credentials from request body
-    const { email, password } = req.body;
+    const email = req.body.email.trim().toLowerCase();
+    const { password } = req.body;
+
+    // Refuse the attempt while this IP or account is backing off / locked
+    const retryAfter = await checkLoginAllowed(req, email);
+    if (retryAfter > 0) {
+      return sendTooManyRequests(res, retryAfter, 'Too many failed login attempts, please try again later');
+    }
 
     // Find user by email
     // .select('+password') includes password field (normally excluded)
     const user = await User.findOne({ email }).select('+password');
-    
-    // Check if user exists
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
 
     // Compare provided password with stored hash
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    // (comparePassword returns false for OAuth-only users without a password)
+    const isPasswordValid = user ? await user.comparePassword(password) : false;
     
-    // Check if password matches
+    // Check if user exists and password matches
     if (!isPasswordValid) {
+      await recordLoginFailure(req, email, user);
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate JWT token for successful login
-    const token = generateToken(user._id);
+    await recordLoginSuccess(req, email);
 
-    // Send success response with token and user data
-    res.json({
-      success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email
-      }
-    });
+    // Send tokens, or a 2FA challenge if the user has 2FA enabled
+    await sendLoginResponse(req, res, user, 'password');
   } catch (error) {
     // Log error for debugging
     console.error('Login error:', error);
@@ -192,81 +301,526 @@ router.post('/login', async (req, res) => {
 /**
  * POST /api/auth/google-simple
  * 
- * Simplest Google auth - just send user info from Expo
- * Client is responsible for Google auth validation
+ * Google sign-in for the Expo app.
+ * The app sends the ID token it got from Google Sign-In; the server verifies it
+ * against Google's signing keys (signature, audience, issuer, expiry and
+ * email_verified) and only then trusts the Google account ID, email and name.
+ * 
+ * An existing account with the same email is linked automatically only if its
+ * email is verified. Otherwise use POST /api/auth/providers/google while signed in.
  * 
  * Request body:
  * {
- *   id: string (Google ID),
- *   email: string,
- *   name: string,
- *   photo: string (optional)
+ *   idToken: string (Google ID token),
+ *   deviceName: string (optional, shown in the sessions list)
  * }
  */
 router.post('/google-simple', async (req, res) => {
   try {
-    const { id, email, name, photo } = req.body;
+    const { idToken } = req.body;
 
     // Basic validation
-    if (!id || !email || !name) {
+    if (!idToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Google ID token is required'
+      });
+    }
+
+    // Verify the token before looking at any user data
+    const google = await verifyGoogleIdToken(idToken);
+
+    if (!google) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid Google ID token'
+      });
+    }
+
+    // Find, link or create the account (same rules as every OAuth provider)
+    const { user, error, linked, created } = await resolveOAuthUser({
+      provider: 'google',
+      providerId: google.sub,
+      email: google.email.toLowerCase(),
+      name: google.name,
+      avatar: google.picture
+    });
+
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    if (created) {
+      await recordSecurityEvent(req, 'register', { user, metadata: { method: 'google' } });
+    } else if (linked) {
+      await recordSecurityEvent(req, 'provider.linked', { user, metadata: { provider: 'google', automatic: true } });
+    }
+
+    // Send tokens, or a 2FA challenge if the user has 2FA enabled
+    await sendLoginResponse(req, res, user, 'google');
+
+  } catch (error) {
+    console.error('Google simple auth error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Passwordless Magic-Link Sign-In
+// ======================
+
+/**
+ * POST /api/auth/magic-link
+ * 
+ * Email a single-use sign-in link and 6-digit code (valid for 15 minutes).
+ * Requesting a new one replaces the previous link/code; a pending
+ * password reset is left untouched.
+ * 
+ * Request body:
+ * {
+ *   email: string
+ * }
+ */
+router.post('/magic-link', magicLinkLimit, async (req, res) => {
+  try {
+    // Only plain strings reach the query (an object could carry operators)
+    if (typeof req.body.email !== 'string' || !req.body.email.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const email = req.body.email.trim().toLowerCase();
+    const user = await User.findOne({ email });
+
+    // Always return the same response (don't reveal whether the email exists)
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists, you will receive a sign-in email shortly.'
+    };
+
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    // Generate the link token and the code
+    const magicToken = crypto.randomBytes(32).toString('hex');
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    // Store only hashes, like the password reset token
+    user.magicLinkToken = hashToken(magicToken);
+    user.magicLinkCode = hashToken(code);
+    user.magicLinkExpire = Date.now() + MAGIC_LINK_EXPIRE_MS;
+    await user.save();
+
+    const emailSent = await sendMagicLinkEmail(user.email, magicToken, code);
+
+    if (!emailSent) {
+      throw new Error('Failed to send email');
+    }
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('❌ Magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send sign-in email. Please try again later.'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/magic-link/verify
+ * 
+ * Exchange a magic link token, or an email + 6-digit code, for the same
+ * response /login returns. The link and code are cleared on first use.
+ * 
+ * Request body (either):
+ * {
+ *   token: string (from the link)
+ * }
+ * {
+ *   email: string,
+ *   code: string (6 digits)
+ * }
+ * 
+ * Response: same as /api/auth/login (including the 2FA challenge)
+ */
+router.post('/magic-link/verify', async (req, res) => {
+  try {
+    const { token, code } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : req.body.email;
+
+    // Only plain strings reach the queries and the failure counters
+    // (an object could carry operators such as { $ne: '' })
+    const usesToken = typeof token === 'string' && token.length > 0;
+    const usesCode = typeof email === 'string' && email.length > 0 && typeof code === 'string' && code.length > 0;
+
+    if (!usesToken && !usesCode) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields'
+        message: 'Token, or email and code, are required'
       });
     }
 
-    // Check if user exists by email
-    let user = await User.findOne({ email });
+    // Clearing the fields in the same query makes the link/code single-use
+    const consume = {
+      $unset: { magicLinkToken: 1, magicLinkCode: 1, magicLinkExpire: 1 },
+      // Receiving the email proves the user owns the address
+      $set: { emailVerified: true }
+    };
+    let user;
 
-    if (user) {
-      // Check if Google is already linked
-      const hasGoogleProvider = user.oauthProviders?.some(
-        p => p.provider === 'google'
+    if (usesToken) {
+      user = await User.findOneAndUpdate(
+        { magicLinkToken: hashToken(token), magicLinkExpire: { $gt: Date.now() } },
+        consume,
+        { new: true }
+      );
+    } else {
+      // 6-digit codes are guessable, so they share the login failure counters
+      const retryAfter = await checkLoginAllowed(req, email);
+      if (retryAfter > 0) {
+        return sendTooManyRequests(res, retryAfter, 'Too many failed attempts, please try again later');
+      }
+
+      user = await User.findOneAndUpdate(
+        { email, magicLinkCode: hashToken(code), magicLinkExpire: { $gt: Date.now() } },
+        consume,
+        { new: true }
       );
 
-      if (!hasGoogleProvider) {
-        // Add Google provider
-        if (!user.oauthProviders) user.oauthProviders = [];
-        
-        user.oauthProviders.push({
-          provider: 'google',
-          providerId: id
+      if (!user) {
+        await recordLoginFailure(req, email, await User.findOne({ email }));
+      } else {
+        await recordLoginSuccess(req, email);
+      }
+    }
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired sign-in link or code'
+      });
+    }
+
+    // Send tokens, or a 2FA challenge if the user has 2FA enabled
+    await sendLoginResponse(req, res, user, 'magic_link');
+
+  } catch (error) {
+    console.error('Magic link verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Email Verification
+// ======================
+
+/**
+ * GET /api/auth/verify-email/:token
+ * 
+ * Target of the link in the verification email.
+ * Marks the email as verified and redirects to a success or failure page.
+ */
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const decoded = verifyEmailVerificationToken(req.params.token);
+
+    if (!decoded) {
+      return res.redirect('/verify-invalid.html');
+    }
+
+    // The link is only valid for the address it was sent to
+    const user = await User.findOne({ _id: decoded.id, email: decoded.email });
+
+    if (!user) {
+      return res.redirect('/verify-invalid.html');
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+      await recordSecurityEvent(req, 'email.verified', { user });
+    }
+
+    res.redirect('/verify-success.html');
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.redirect('/verify-invalid.html');
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * 
+ * Send a new verification link to the logged in user.
+ * Limited to one email per EMAIL_VERIFICATION_COOLDOWN seconds (default 60).
+ * 
+ * Authentication: Required (JWT token in Authorization header)
+ */
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    // Enforce the resend cooldown
+    if (user.emailVerificationSentAt) {
+      const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+
+      if (elapsed < VERIFICATION_RESEND_COOLDOWN) {
+        const retryAfter = Math.ceil(VERIFICATION_RESEND_COOLDOWN - elapsed);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another email`
         });
-        
-        user.authMethod = 'google';
-        if (photo) user.avatar = photo;
-        await user.save();
       }
-    } else {
-      // Create new user
-      user = await User.create({
-        name,
-        email,
-        authMethod: 'google',
-        oauthProviders: [{
-          provider: 'google',
-          providerId: id
-        }],
-        avatar: photo || null
+    }
+
+    const emailSent = await sendEmailVerification(user);
+
+    if (!emailSent) {
+      throw new Error('Failed to send email');
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent. Please check your inbox (and spam folder).'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Token Refresh
+// ======================
+
+/**
+ * POST /api/auth/refresh
+ * 
+ * Exchange a refresh token for a new access token.
+ * The refresh token is rotated: the one sent is used up and a new one is returned.
+ * Sending an already used refresh token revokes every token from that login.
+ * 
+ * Request body:
+ * {
+ *   refreshToken: string
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   token: short-lived JWT access token,
+ *   refreshToken: new opaque refresh token
+ * }
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Rotate the refresh token (null if invalid, expired or reused)
+    const rotated = await rotateRefreshToken(refreshToken, req);
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
 
     res.json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        avatar: user.avatar
-      }
+      token: generateToken(rotated.userId, rotated.sessionId),
+      refreshToken: rotated.refreshToken
     });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
 
+// ======================
+// Logout & Session Management
+// ======================
+
+/**
+ * POST /api/auth/logout
+ * 
+ * Log out the current device by revoking its session.
+ * The access token and refresh token of this session stop working immediately.
+ * 
+ * Authentication: Required (JWT token in Authorization header)
+ */
+router.post('/logout', protect, async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id);
+    await recordSecurityEvent(req, 'session.revoked', {
+      user: req.user,
+      metadata: { sessionId: req.authSession._id, reason: 'logout' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
   } catch (error) {
-    console.error('Google simple auth error:', error);
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * 
+ * Log out everywhere by revoking all of the user's sessions,
+ * including the current one, and all personal access tokens.
+ * 
+ * Authentication: Required (JWT token in Authorization header)
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   revoked: number of sessions revoked,
+ *   tokensRevoked: number of personal access tokens revoked
+ * }
+ */
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id);
+    const tokensRevoked = await revokeUserAccessTokens(req.user._id);
+    await recordSecurityEvent(req, 'sessions.revoked_all', {
+      user: req.user,
+      metadata: { revoked, tokensRevoked, reason: 'logout_all' }
+    });
+
+    res.json({
+      success: true,
+      revoked,
+      tokensRevoked
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * 
+ * List the devices the user is currently signed in on.
+ * 
+ * Authentication: Required (JWT token in Authorization header)
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   count: number,
+ *   data: [{ id, deviceName, userAgent, ip, lastSeenAt, createdAt, current }]
+ * }
+ */
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, revokedAt: null })
+      .sort({ lastSeenAt: -1 }) // Most recently active first
+      .lean();
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        deviceName: session.deviceName,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        // Flag the session making this request so the app can label it
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * 
+ * Revoke one of the user's sessions (e.g. a lost phone).
+ * 
+ * Authentication: Required (JWT token in Authorization header)
+ */
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Only the user's own sessions can be revoked
+    const revoked = mongoose.isValidObjectId(id) && await revokeSession(id, req.user._id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await recordSecurityEvent(req, 'session.revoked', {
+      user: req.user,
+      metadata: { sessionId: id, reason: 'user_revoked' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -290,18 +844,18 @@ router.post('/google-simple', async (req, res) => {
  * Response:
  * {
  *   exists: boolean,
- *   user: user object (if exists)
+ *   user: { id, name, avatar } (public view, null if no account)
  * }
  */
-router.get('/check-email/:email', async (req, res) => {
+router.get('/check-email/:email', checkEmailLimit, async (req, res) => {
   try {
     // Search for user with provided email
     const user = await User.findOne({ email: req.params.email });
     
-    // Return whether user exists and user data
+    // Return whether user exists and its public data only
     res.json({
       exists: !!user,
-      user: user
+      user: serializeUser(user, 'public')
     });
   } catch (error) {
     // Return error response
@@ -313,10 +867,16 @@ router.get('/check-email/:email', async (req, res) => {
 });
 
 // Forgot Password - Generate reset link
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', forgotPasswordLimit, async (req, res) => {
   try {
-    const { email } = req.body;
+    if (typeof req.body.email !== 'string' || !req.body.email.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
 
+    const email = req.body.email.trim().toLowerCase();
     const user = await User.findOne({ email });
     
     // Always return success (security best practice)
@@ -327,22 +887,13 @@ router.post('/forgot-password', async (req, res) => {
       });
     }
 
-    // Generate unique reset token
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    
-    // Hash the token for storage
-    const hashedToken = crypto
-      .createHash('sha256')
-      .update(resetToken)
-      .digest('hex');
-
-    // Save hashed token and expiry (1 hour)
-    user.resetPasswordToken = hashedToken;
-    user.resetPasswordExpire = Date.now() + 3600000; // 1 hour
+    // Generate unique reset token (a hash is stored, valid 1 hour)
+    const resetToken = user.createPasswordResetToken();
     
     await user.save();
 
     console.log('🔐 Reset token generated for user:', user.email);
+    await recordSecurityEvent(req, 'password.reset_requested', { user });
 
     // Send email
     const emailSent = await sendResetEmail(email, resetToken);
@@ -380,6 +931,13 @@ router.post('/reset-password', async (req, res) => {
       });
     }
 
+    // Back off clients that keep sending invalid reset tokens
+    const ipKey = `reset-password:ip:${req.ip}`;
+    const retryAfter = await getRetryAfter([ipKey]);
+    if (retryAfter > 0) {
+      return sendTooManyRequests(res, retryAfter, 'Too many invalid reset attempts, please try again later');
+    }
+
     // Hash the incoming token to compare with stored hash
     const hashedToken = crypto
       .createHash('sha256')
@@ -393,22 +951,39 @@ router.post('/reset-password', async (req, res) => {
     });
 
     if (!user) {
+      await registerFailure(ipKey, IP_POLICY);
+
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired reset token'
       });
     }
 
+    // Enforce the password policy before hashing
+    const passwordErrors = validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyError(res, passwordErrors);
+    }
+
     // Update password
     const hashedPassword = await bcrypt.hash(password, 12);
     user.password = hashedPassword;
     
-    // Clear reset token
+    // Clear reset token (and a reset forced by an admin)
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    user.passwordResetRequired = false;
     
     await user.save();
 
+    // Sign out every device (and integration) that used the old password
+    const revoked = await revokeUserSessions(user._id);
+    const tokensRevoked = await revokeUserAccessTokens(user._id);
+    await recordSecurityEvent(req, 'password.reset_completed', {
+      user,
+      metadata: { sessionsRevoked: revoked, tokensRevoked }
+    });
+
     res.json({
       success: true,
       message: 'Password reset successfully'
@@ -423,6 +998,109 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// ======================
+// Change Password
+// ======================
+
+/**
+ * POST /api/auth/change-password
+ * 
+ * Change the password of the logged in user.
+ * Requires the current password. All other sessions are signed out;
+ * the session making this request stays signed in.
+ * 
+ * Authentication: Required (JWT token in Authorization header)
+ * 
+ * Request body:
+ * {
+ *   currentPassword: string,
+ *   newPassword: string
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   message: string,
+ *   errors: string[] (only if the new password breaks the policy)
+ * }
+ */
+router.post('/change-password', protect, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password and new password are required'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    // OAuth-only accounts have no password to change
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account does not have a password'
+      });
+    }
+
+    // Guessing the current password here counts like failed logins
+    const retryAfter = await checkLoginAllowed(req, user.email);
+    if (retryAfter > 0) {
+      return sendTooManyRequests(res, retryAfter, 'Too many failed attempts, please try again later');
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      await recordLoginFailure(req, user.email, user);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    await recordLoginSuccess(req, user.email);
+
+    // Enforce the password policy before hashing
+    const passwordErrors = validatePassword(newPassword, user);
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyError(res, passwordErrors);
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 12);
+
+    // A pending reset link would otherwise still work
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+
+    await user.save();
+
+    // Sign out every other device
+    const revoked = await revokeUserSessions(user._id, req.authSession._id);
+    await recordSecurityEvent(req, 'password.changed', { user, metadata: { sessionsRevoked: revoked } });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Verify reset token (for the web page)
 router.get('/verify-reset-token/:token', async (req, res) => {
   try {
@@ -0,0 +1,227 @@
+/**
+ * routes/oauth.js - Browser OAuth Routes
+ *
+ * This file mounts the redirect flow for every enabled OAuth provider
+ * (see config/oauth.js):
+ * - GET /api/auth/<provider>           -> redirects to the provider's login page
+ * - GET /api/auth/<provider>/callback  -> provider redirects back here
+ * - POST /api/auth/oauth/exchange      -> app trades the one-time code for tokens
+ *
+ * Security:
+ * - A random `state` handle (stored server-side) ties each callback to the
+ *   request that started it, and PKCE protects the provider code exchange.
+ * - The app starts the flow with its own PKCE code_challenge. The callback
+ *   never puts tokens in a URL: it redirects to the app with a one-time code
+ *   (valid 60 seconds) that only works together with the app's code_verifier.
+ * - The app redirect URI must be in OAUTH_APP_REDIRECT_URLS (comma separated).
+ */
+
+// Import required packages
+const express = require('express');
+const passport = require('passport');
+const User = require('../models/User');
+const { enabledProviders } = require('../config/oauth');
+const { createAuthCode, consumeAuthCode } = require('../utils/tokens');
+const { consumeOAuthState, verifyPkce } = require('../utils/oauthState');
+const { sendLoginResponse } = require('../utils/authResponse');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+
+// Create router instance
+const router = express.Router();
+
+// ======================
+// App Redirect Helpers
+// ======================
+
+/**
+ * getAllowedRedirects - App redirect URIs the flow may return to
+ *
+ * @returns {string[]} - The first entry is the default
+ */
+const getAllowedRedirects = () => {
+  const configured = process.env.OAUTH_APP_REDIRECT_URLS || process.env.OAUTH_APP_REDIRECT_URL || 'betterhealth://oauth';
+  return configured.split(',').map(uri => uri.trim()).filter(Boolean);
+};
+
+/**
+ * redirectToApp - Send the browser back to the mobile app
+ *
+ * @param {Object} res - Express response object
+ * @param {string} redirectUri - Allowed app redirect URI
+ * @param {Object} params - Query parameters ({ code } or { error, message })
+ */
+const redirectToApp = (res, redirectUri, params) => {
+  const appUrl = new URL(redirectUri);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value) appUrl.searchParams.set(key, value);
+  });
+
+  res.redirect(appUrl.toString());
+};
+
+// ======================
+// Provider Redirect & Callback
+// ======================
+
+enabledProviders.forEach(name => {
+  /**
+   * GET /api/auth/<provider>
+   *
+   * Start sign-in: redirects the browser to the provider.
+   *
+   * Query parameters:
+   * - code_challenge: base64url SHA-256 of the app's code_verifier (required)
+   * - code_challenge_method: must be S256 (optional)
+   * - redirect_uri: app URI to return to (optional, must be allowed)
+   */
+  router.get(`/${name}`, (req, res, next) => {
+    const { code_challenge: codeChallenge, code_challenge_method: method } = req.query;
+    const allowed = getAllowedRedirects();
+    const redirectUri = req.query.redirect_uri || allowed[0];
+
+    if (!allowed.includes(redirectUri)) {
+      return res.status(400).json({
+        success: false,
+        message: 'redirect_uri is not allowed'
+      });
+    }
+
+    // 43 characters = base64url encoded SHA-256
+    if (typeof codeChallenge !== 'string' || !/^[A-Za-z0-9_-]{43}$/.test(codeChallenge) ||
+        (method && method !== 'S256')) {
+      return res.status(400).json({
+        success: false,
+        message: 'A S256 code_challenge is required'
+      });
+    }
+
+    // The object is saved with the state record by the state store
+    passport.authenticate(name, {
+      session: false,
+      state: { redirectUri, codeChallenge }
+    })(req, res, next);
+  });
+
+  /**
+   * GET /api/auth/<provider>/callback
+   *
+   * The provider redirects here after the user approves or denies access.
+   * Redirects on to the app with ?code=... or ?error=...&message=...
+   */
+  router.get(`/${name}/callback`, async (req, res, next) => {
+    try {
+      // Check (and use up) the state before anything else
+      const pending = await consumeOAuthState(name, req.query.state);
+
+      if (!pending) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired sign-in request, please try again'
+        });
+      }
+
+      // Read by the state store's verify()
+      req.oauthState = pending;
+
+      passport.authenticate(name, { session: false }, async (err, user, info) => {
+        try {
+          if (err) {
+            console.error(`${name} OAuth error:`, err);
+            return redirectToApp(res, pending.redirectUri, { error: 'oauth_failed' });
+          }
+
+          // User denied access, or the account could not be linked
+          if (!user) {
+            return redirectToApp(res, pending.redirectUri, {
+              error: (info && info.code) || 'access_denied',
+              message: info && info.message
+            });
+          }
+
+          if (info && info.created) {
+            await recordSecurityEvent(req, 'register', { user, metadata: { method: name } });
+          } else if (info && info.linked) {
+            await recordSecurityEvent(req, 'provider.linked', { user, metadata: { provider: name, automatic: true } });
+          }
+
+          const code = await createAuthCode(user._id, name, pending.codeChallenge);
+          redirectToApp(res, pending.redirectUri, { code });
+        } catch (error) {
+          console.error(`${name} OAuth callback error:`, error);
+          redirectToApp(res, pending.redirectUri, { error: 'oauth_failed' });
+        }
+      })(req, res, next);
+    } catch (error) {
+      console.error(`${name} OAuth callback error:`, error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  });
+});
+
+// ======================
+// Code Exchange
+// ======================
+
+/**
+ * POST /api/auth/oauth/exchange
+ *
+ * Exchange the one-time code from the app redirect for tokens.
+ * Each code works once, expires after 60 seconds and requires the
+ * code_verifier matching the code_challenge the flow was started with.
+ *
+ * Request body:
+ * {
+ *   code: string,
+ *   codeVerifier: string,
+ *   deviceName: string (optional, shown in the sessions list)
+ * }
+ *
+ * Response: same as /api/auth/login (including the 2FA challenge)
+ */
+router.post('/oauth/exchange', async (req, res) => {
+  try {
+    const { code, codeVerifier } = req.body;
+
+    if (!code || !codeVerifier) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code and code verifier are required'
+      });
+    }
+
+    // Deleted on lookup, so a wrong verifier also burns the code
+    const authCode = await consumeAuthCode(code);
+
+    if (!authCode || !verifyPkce(codeVerifier, authCode.codeChallenge)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    const user = await User.findById(authCode.user);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    // Send tokens, or a 2FA challenge if the user has 2FA enabled
+    await sendLoginResponse(req, res, user, authCode.provider);
+  } catch (error) {
+    console.error('OAuth code exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Export router for use in app.js
+module.exports = router;
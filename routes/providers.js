@@ -0,0 +1,273 @@
+/**
+ * routes/providers.js - Sign-In Method Management Routes
+ *
+ * This file lets a signed-in user manage how they can sign in:
+ * - List linked sign-in methods (password and OAuth providers)
+ * - Link a Google identity to the current account
+ * - Unlink an OAuth provider
+ * - Add a password to an OAuth-only account
+ *
+ * The last remaining way to sign in can never be removed.
+ *
+ * Mounted at /api/auth/providers. All routes require a valid access token.
+ */
+
+// Import required packages
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { verifyGoogleIdToken } = require('../utils/googleIdToken');
+const { validatePassword, sendPasswordPolicyError } = require('../utils/passwordPolicy');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { serializeProviders } = require('../utils/serializers');
+
+// Create router instance
+const router = express.Router();
+
+// All routes are protected - user must be logged in
+router.use(protect);
+
+/**
+ * loadUser - Fetch the current user including the password hash
+ *
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - User document
+ */
+const loadUser = (req) => User.findById(req.user._id).select('+password');
+
+/**
+ * formatMethods - Describe the user's sign-in methods for the response
+ *
+ * @param {Object} user - User document with password selected
+ * @returns {Object} - { authMethod, hasPassword, providers, methods }
+ */
+const formatMethods = (user) => ({
+  authMethod: user.authMethod,
+  hasPassword: !!user.password,
+  providers: serializeProviders(user.oauthProviders),
+  methods: user.getSignInMethods()
+});
+
+// ======================
+// List Sign-In Methods
+// ======================
+
+/**
+ * GET /api/auth/providers
+ *
+ * List the ways the user can sign in.
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: {
+ *     authMethod: string,
+ *     hasPassword: boolean,
+ *     providers: [{ provider, linkedAt }],
+ *     methods: string[] (e.g. ['password', 'google'])
+ *   }
+ * }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const user = await loadUser(req);
+
+    res.json({
+      success: true,
+      data: formatMethods(user)
+    });
+  } catch (error) {
+    console.error('Get providers error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Link Google
+// ======================
+
+/**
+ * POST /api/auth/providers/google
+ *
+ * Link a Google identity to the current account.
+ * The Google account's email does not have to match the account email.
+ *
+ * Request body:
+ * {
+ *   idToken: string (Google ID token)
+ * }
+ */
+router.post('/google', async (req, res) => {
+  try {
+    const { idToken } = req.body;
+
+    if (!idToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Google ID token is required'
+      });
+    }
+
+    const google = await verifyGoogleIdToken(idToken);
+
+    if (!google) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid Google ID token'
+      });
+    }
+
+    const user = await loadUser(req);
+
+    if (user.getProvider('google')) {
+      return res.status(409).json({
+        success: false,
+        message: 'A Google account is already linked'
+      });
+    }
+
+    // A Google identity can only belong to one account
+    const owner = await User.findByProvider('google', google.sub);
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        message: 'This Google account is already linked to another account'
+      });
+    }
+
+    user.oauthProviders.push({
+      provider: 'google',
+      providerId: google.sub
+    });
+    user.refreshAuthMethod();
+
+    // Google vouches for its address; only counts if it is the account email
+    if (google.email.toLowerCase() === user.email) {
+      user.emailVerified = true;
+    }
+
+    await user.save();
+    await recordSecurityEvent(req, 'provider.linked', { user, metadata: { provider: 'google' } });
+
+    res.json({
+      success: true,
+      message: 'Google account linked',
+      data: formatMethods(user)
+    });
+  } catch (error) {
+    console.error('Link Google error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Add Password
+// ======================
+
+/**
+ * POST /api/auth/providers/password
+ *
+ * Add a password to an account that only signs in through OAuth.
+ * Use /api/auth/change-password to change an existing password.
+ *
+ * Request body:
+ * {
+ *   password: string
+ * }
+ */
+router.post('/password', async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = await loadUser(req);
+
+    if (user.password) {
+      return res.status(409).json({
+        success: false,
+        message: 'This account already has a password'
+      });
+    }
+
+    // Enforce the password policy before hashing
+    const passwordErrors = validatePassword(password, user);
+    if (passwordErrors.length > 0) {
+      return sendPasswordPolicyError(res, passwordErrors);
+    }
+
+    user.password = await bcrypt.hash(password, 12);
+    user.refreshAuthMethod();
+    await user.save();
+    await recordSecurityEvent(req, 'password.added', { user });
+
+    res.json({
+      success: true,
+      message: 'Password added',
+      data: formatMethods(user)
+    });
+  } catch (error) {
+    console.error('Add password error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Unlink Provider
+// ======================
+
+/**
+ * DELETE /api/auth/providers/:provider
+ *
+ * Unlink an OAuth provider (e.g. 'google').
+ * Refused if it is the only remaining way to sign in.
+ */
+router.delete('/:provider', async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const user = await loadUser(req);
+
+    const linked = user.getProvider(provider);
+    if (!linked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provider is not linked to this account'
+      });
+    }
+
+    if (user.getSignInMethods().length <= 1) {
+      return res.status(400).json({
+        success: false,
+        code: 'LAST_SIGN_IN_METHOD',
+        message: 'You cannot remove your only way to sign in. Add a password or link another provider first.'
+      });
+    }
+
+    user.oauthProviders.pull(linked._id);
+    user.refreshAuthMethod();
+    await user.save();
+    await recordSecurityEvent(req, 'provider.unlinked', { user, metadata: { provider } });
+
+    res.json({
+      success: true,
+      message: 'Provider unlinked',
+      data: formatMethods(user)
+    });
+  } catch (error) {
+    console.error('Unlink provider error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Export router for use in app.js
+module.exports = router;
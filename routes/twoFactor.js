@@ -0,0 +1,354 @@
+/**
+ * routes/twoFactor.js - Two-Factor Authentication Routes
+ *
+ * This file handles optional TOTP two-factor authentication:
+ * - Enrollment (setup + enable with a first code)
+ * - One-time recovery codes
+ * - Disabling 2FA
+ * - Completing a login that returned a 2FA challenge
+ *
+ * Mounted at /api/auth/2fa
+ */
+
+// Import required packages
+const express = require('express');
+const crypto = require('crypto');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { verifyTwoFactorChallengeToken } = require('../utils/tokens');
+const { sendAuthResponse } = require('../utils/authResponse');
+const { sendTooManyRequests } = require('../middleware/rateLimit');
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require('../utils/bruteForce');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const {
+  generateSecret,
+  buildOtpauthUri,
+  verifyCode,
+  generateRecoveryCodes
+} = require('../utils/totp');
+
+// Create router instance
+const router = express.Router();
+
+// Fields needed to check 2FA codes (excluded from queries by default)
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+/**
+ * hashRecoveryCodes - Hash recovery codes for storage
+ *
+ * @param {string[]} codes - Plaintext recovery codes
+ * @returns {string[]} - SHA-256 hashes
+ */
+const hashRecoveryCodes = (codes) => {
+  return codes.map(code => crypto.createHash('sha256').update(code).digest('hex'));
+};
+
+// ======================
+// Enrollment
+// ======================
+
+/**
+ * POST /api/auth/2fa/setup
+ *
+ * Start 2FA enrollment by generating a new TOTP secret.
+ * The app shows otpauthUri as a QR code (or the secret for manual entry).
+ * 2FA is not active until the user confirms a code at /2fa/enable.
+ *
+ * Authentication: Required (JWT token in Authorization header)
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   secret: string (base32),
+ *   otpauthUri: string
+ * }
+ */
+router.post('/setup', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Store the new secret; it only takes effect once enabled
+    const secret = generateSecret();
+    user.twoFactorSecret = secret;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ *
+ * Confirm enrollment with a code from the authenticator app.
+ * Returns recovery codes, which are shown only this once.
+ *
+ * Authentication: Required (JWT token in Authorization header)
+ *
+ * Request body:
+ * {
+ *   code: string (6-digit TOTP code)
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   recoveryCodes: string[]
+ * }
+ */
+router.post('/enable', protect, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    // Only authenticator codes are accepted here (no recovery codes exist yet)
+    const step = verifyCode(user.twoFactorSecret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactorEnabled = true;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorRecoveryCodes = hashRecoveryCodes(recoveryCodes);
+    await user.save();
+    await recordSecurityEvent(req, '2fa.enabled', { user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Recovery Codes & Disable
+// ======================
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ *
+ * Replace all recovery codes with a new set.
+ *
+ * Authentication: Required (JWT token in Authorization header)
+ *
+ * Request body:
+ * {
+ *   code: string (TOTP code or recovery code)
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   recoveryCodes: string[]
+ * }
+ */
+router.post('/recovery-codes', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashRecoveryCodes(recoveryCodes);
+    await user.save();
+    await recordSecurityEvent(req, '2fa.recovery_codes_regenerated', { user });
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ *
+ * Turn off 2FA and delete the secret and recovery codes.
+ *
+ * Authentication: Required (JWT token in Authorization header)
+ *
+ * Request body:
+ * {
+ *   code: string (TOTP code or recovery code)
+ * }
+ */
+router.post('/disable', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+    await recordSecurityEvent(req, '2fa.disabled', { user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Login Verification
+// ======================
+
+/**
+ * POST /api/auth/2fa/verify
+ *
+ * Second step of login for users with 2FA enabled.
+ * Exchanges the challenge token from /login plus a code for real tokens.
+ *
+ * Request body:
+ * {
+ *   challengeToken: string,
+ *   code: string (TOTP code or recovery code),
+ *   deviceName: string (optional, shown in the sessions list)
+ * }
+ *
+ * Response: same as /api/auth/login
+ */
+router.post('/verify', async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and code are required'
+      });
+    }
+
+    const challenge = verifyTwoFactorChallengeToken(challengeToken);
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge, please log in again'
+      });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge, please log in again'
+      });
+    }
+
+    // 2FA codes share the login failure counters for this account
+    const retryAfter = await checkLoginAllowed(req, user.email);
+    if (retryAfter > 0) {
+      return sendTooManyRequests(res, retryAfter, 'Too many failed attempts, please try again later');
+    }
+
+    // The code is consumed in the database before any tokens are issued
+    if (!(await user.verifyTwoFactorCode(code))) {
+      await recordLoginFailure(req, user.email, user);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await recordLoginSuccess(req, user.email);
+
+    await sendAuthResponse(req, res, user, {
+      method: challenge.method ? `${challenge.method}+2fa` : '2fa'
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Export router for use in app.js
+module.exports = router;
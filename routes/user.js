@@ -4,22 +4,196 @@
  * This file handles user profile management endpoints:
  * - Get user profile information
  * - Update user profile
+ * - Upload or remove the avatar picture
+ * - Change the email address (confirmed by a link sent to the new address)
+ * - Export all personal data
+ * - Delete the account (after a grace period)
+ * - Read the account's security event history
+ * - Manage personal access tokens for integrations
  * 
- * All routes are protected with JWT authentication (requires valid token).
+ * All routes are protected with JWT authentication (requires valid token),
+ * except the email change links opened from emails.
  */
 
 // Import required packages
 const express = require('express');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const validator = require('validator');
+const archiver = require('archiver');
+const multer = require('multer');
 
 // Import authentication middleware
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
 
-// Import User model
+// Import models
 const User = require('../models/User');
+const Water = require('../models/Water');
+const Session = require('../models/Session');
+const AccessToken = require('../models/AccessToken');
+
+// Import helpers
+const { scheduleDeletion } = require('../utils/accountDeletion');
+const {
+  sendAccountDeletionEmail,
+  sendEmailChangeConfirmEmail,
+  sendEmailChangeNoticeEmail
+} = require('../utils/emailSender');
+const { hashToken } = require('../utils/tokens');
+const { revokeUserSessions } = require('../utils/sessions');
+const { rateLimit, sendTooManyRequests } = require('../middleware/rateLimit');
+const {
+  ALLOWED_MIME_TYPES,
+  MAX_BYTES: AVATAR_MAX_BYTES,
+  saveAvatar,
+  clearAvatar,
+  deleteAvatarFiles
+} = require('../utils/avatars');
+const {
+  recordSecurityEvent,
+  buildEventQuery,
+  findSecurityEvents
+} = require('../utils/securityEvents');
+const { createAccessToken, revokeUserAccessTokens, formatAccessToken } = require('../utils/accessTokens');
+const { serializeUser, serializeWater, serializeProviders } = require('../utils/serializers');
+const { GOAL_PROFILE_FIELDS, getCurrentGoal, updateGoal } = require('../utils/hydrationGoals');
+const { SCOPES, SCOPE_DESCRIPTIONS } = require('../config/scopes');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../utils/bruteForce');
+
+// Accounts without a password must have signed in this recently to delete
+// the account or change the email address
+const REAUTH_WINDOW_MS = 10 * 60 * 1000;
+
+// Email change links: confirm (sent to the new address) and cancel/undo
+// (sent to the old address)
+const EMAIL_CHANGE_EXPIRE_MS = 24 * 60 * 60 * 1000;
+const EMAIL_CHANGE_CANCEL_EXPIRE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Limits for personal access tokens
+const MAX_ACCESS_TOKENS = 25;
+const MAX_TOKEN_EXPIRY_DAYS = 365;
 
 // Create router instance
 const router = express.Router();
 
+// Avatar uploads are kept in memory: they are small and re-encoded before storage
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    callback(null, ALLOWED_MIME_TYPES.includes(file.mimetype));
+  }
+}).single('avatar');
+
+// Each email change request sends two emails
+const emailChangeLimit = rateLimit({
+  name: 'email-change',
+  max: 5,
+  windowMs: 60 * 60 * 1000,
+  keys: req => [req.user._id.toString()],
+  message: 'Too many email change requests, please try again later'
+});
+
+// Image processing is expensive, so uploads are limited per user
+const avatarLimit = rateLimit({
+  name: 'avatar-upload',
+  max: 10,
+  windowMs: 60 * 60 * 1000,
+  keys: req => [req.user._id.toString()],
+  message: 'Too many avatar uploads, please try again later'
+});
+
+// ======================
+// Confirmation Helper
+// ======================
+
+/**
+ * confirmIdentity - Make the user prove it is them before a sensitive action
+ *
+ * Accounts with a password must send it as req.body.password (failures count
+ * like failed logins). Accounts without one (Google/GitHub only) must have
+ * signed in within the last 10 minutes; otherwise the response is
+ * 403 REAUTH_REQUIRED and the app should sign in again.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User document with the password selected
+ * @param {string} action - What is being confirmed, for messages (e.g. 'delete your account')
+ * @returns {Promise<boolean>} - True if confirmed; otherwise a response was sent
+ */
+const confirmIdentity = async (req, res, user, action) => {
+  const { password } = req.body || {};
+
+  if (user.password) {
+    if (!password) {
+      res.status(400).json({
+        success: false,
+        message: `Password is required to ${action}`
+      });
+      return false;
+    }
+
+    // Guessing the password here counts like failed logins
+    const retryAfter = await checkLoginAllowed(req, user.email);
+    if (retryAfter > 0) {
+      sendTooManyRequests(res, retryAfter, 'Too many failed attempts, please try again later');
+      return false;
+    }
+
+    if (!(await user.comparePassword(password))) {
+      await recordLoginFailure(req, user.email, user);
+
+      res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+      return false;
+    }
+
+    await recordLoginSuccess(req, user.email);
+    return true;
+  }
+
+  if (Date.now() - req.authSession.createdAt.getTime() > REAUTH_WINDOW_MS) {
+    res.status(403).json({
+      success: false,
+      code: 'REAUTH_REQUIRED',
+      message: `Please sign in again to ${action}`
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// ======================
+// Profile Helpers
+// ======================
+
+/**
+ * PROFILE_FIELDS - Fields the user may change with PUT /api/user/profile
+ *
+ * Everything else (email, role, security settings, ...) has its own endpoint
+ * or is not user-editable. Validation rules live in models/User.js.
+ */
+const PROFILE_FIELDS = [
+  'name',
+  'avatar',
+  'dateOfBirth',
+  'sex',
+  'heightCm',
+  'weightKg',
+  'activityLevel',
+  'timezone',
+  'locale',
+  'units',
+  'volumeUnit'
+];
+
 // ======================
 // Get User Profile
 // ======================
@@ -35,7 +209,9 @@ const router = express.Router();
  * {
  *   success: boolean,
  *   user: {
- *     id, name, email, avatar, authMethod, createdAt, updatedAt, ...
+ *     id, name, email, emailVerified, avatar, authMethod, role, twoFactorEnabled,
+ *     dateOfBirth, sex, heightCm, weightKg, activityLevel,
+ *     timezone, locale, units, volumeUnit, createdAt, updatedAt
  *   }
  * }
  */
@@ -43,8 +219,7 @@ router.get('/profile', protect, async (req, res) => {
   // The protect middleware attaches the authenticated user to req.user
   res.json({
     success: true,
-    // Return the user object from the request (set by protect middleware)
-    user: req.user
+    user: serializeUser(req.user, 'self')
   });
 });
 
@@ -55,44 +230,859 @@ router.get('/profile', protect, async (req, res) => {
 /**
  * PUT /api/user/profile
  * 
- * Update the authenticated user's profile information.
- * Currently allows updating name and avatar.
+ * Partially update the authenticated user's profile. Only the fields sent
+ * are changed; send null to clear an optional field.
  * 
  * Authentication: Required (JWT token in Authorization header)
  * 
- * Request body:
+ * Request body (all optional):
  * {
- *   name: string (optional),
- *   avatar: string (optional, URL to avatar image)
+ *   name: string,
+ *   avatar: string (URL to avatar image),
+ *   dateOfBirth: ISO date,
+ *   sex: 'female' | 'male' | 'other' | 'prefer_not_to_say',
+ *   heightCm: number (50-275),
+ *   weightKg: number (20-500),
+ *   activityLevel: 'sedentary' | 'light' | 'moderate' | 'active' | 'very_active',
+ *   timezone: IANA time zone (e.g. 'Asia/Kolkata'),
+ *   locale: language tag (e.g. 'en-IN'),
+ *   units: 'metric' | 'imperial',
+ *   volumeUnit: 'ml' | 'l' | 'fl_oz' | 'glass' (null to follow units)
  * }
  * 
  * Response:
  * {
  *   success: boolean,
- *   user: { updated user object }
+ *   user: { same as GET /api/user/profile }
  * }
+ * 
+ * Errors: 400 with errors: { field: message } if a field is unknown or invalid
  */
 router.put('/profile', protect, async (req, res) => {
   try {
-    // Extract fields to update from request body
-    const { name, avatar } = req.body;
-    
-    // Find user by ID and update with new values
-    // { new: true } returns the updated document
-    // { runValidators: true } validates data against schema rules
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { name, avatar },
-      { new: true, runValidators: true }
+    const body = req.body || {};
+
+    // Refuse fields that are not editable here instead of silently ignoring them
+    const unknownFields = Object.keys(body).filter(field => !PROFILE_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some fields cannot be updated here',
+        errors: Object.fromEntries(unknownFields.map(field => [field, 'Field cannot be updated']))
+      });
+    }
+
+    const fields = PROFILE_FIELDS.filter(field => body[field] !== undefined);
+    const user = req.user;
+    const affectsGoal = fields.some(field => GOAL_PROFILE_FIELDS.includes(field));
+
+    // Record the goal from before the change so past days keep it
+    if (affectsGoal) {
+      await getCurrentGoal(user);
+    }
+
+    fields.forEach(field => user.set(field, body[field]));
+
+    // A new avatar URL replaces an uploaded avatar
+    const previousAvatarKeys = fields.includes('avatar') ? clearAvatar(user) : [];
+
+    // Schema validation (enums, ranges, time zone, ...) runs on save
+    try {
+      await user.save();
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.fromEntries(
+            Object.entries(error.errors).map(([field, fieldError]) => [field, fieldError.message])
+          )
+        });
+      }
+      throw error;
+    }
+
+    await deleteAvatarFiles(previousAvatarKeys);
+
+    if (affectsGoal) {
+      await updateGoal(user, { reason: 'profile' });
+    }
+
+    if (fields.length > 0) {
+      await recordSecurityEvent(req, 'profile.updated', { user, metadata: { fields } });
+    }
+
+    res.json({
+      success: true,
+      user: serializeUser(user, 'self')
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Avatar
+// ======================
+
+/**
+ * POST /api/user/avatar
+ * 
+ * Upload a new avatar picture (multipart/form-data, field "avatar").
+ * The image is cropped to a square, re-encoded as WebP in several sizes
+ * and stripped of all metadata (EXIF, location). The previous uploaded
+ * avatar is deleted.
+ * 
+ * Authentication: Required (JWT token in Authorization header)
+ * 
+ * Accepted: JPEG, PNG, WebP, GIF or AVIF, up to AVATAR_MAX_BYTES (default 5 MB)
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   avatar: string (large URL),
+ *   avatarThumbnails: { small: URL (128px), large: URL (512px) }
+ * }
+ */
+router.post('/avatar', protect, avatarLimit, (req, res) => {
+  avatarUpload(req, res, async (uploadError) => {
+    try {
+      if (uploadError) {
+        const tooLarge = uploadError.code === 'LIMIT_FILE_SIZE';
+
+        return res.status(tooLarge ? 413 : 400).json({
+          success: false,
+          message: tooLarge
+            ? `Image must be smaller than ${Math.floor(AVATAR_MAX_BYTES / (1024 * 1024))} MB`
+            : uploadError.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'An image file (JPEG, PNG, WebP, GIF or AVIF) is required in the "avatar" field'
+        });
+      }
+
+      const user = req.user;
+      const { previousKeys, error } = await saveAvatar(user, req.file.buffer);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      await user.save();
+      await deleteAvatarFiles(previousKeys);
+      await recordSecurityEvent(req, 'profile.updated', { user, metadata: { fields: ['avatar'] } });
+
+      res.json({
+        success: true,
+        avatar: user.avatar,
+        avatarThumbnails: user.avatarThumbnails
+      });
+    } catch (error) {
+      console.error('Avatar upload error:', error);
+      res.status(500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  });
+});
+
+/**
+ * DELETE /api/user/avatar
+ * 
+ * Remove the avatar (uploaded files are deleted).
+ * 
+ * Authentication: Required (JWT token in Authorization header)
+ */
+router.delete('/avatar', protect, async (req, res) => {
+  try {
+    const user = req.user;
+    const previousKeys = clearAvatar(user);
+
+    user.avatar = null;
+    await user.save();
+    await deleteAvatarFiles(previousKeys);
+    await recordSecurityEvent(req, 'profile.updated', { user, metadata: { fields: ['avatar'] } });
+
+    res.json({
+      success: true,
+      message: 'Avatar removed'
+    });
+  } catch (error) {
+    console.error('Remove avatar error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Email Change
+// ======================
+
+/**
+ * clearEmailChange - Forget a pending (or completed) email change
+ *
+ * @param {Object} user - User document
+ */
+const clearEmailChange = (user) => {
+  user.pendingEmail = null;
+  user.emailChangeToken = undefined;
+  user.emailChangeExpire = undefined;
+  user.emailChangeCancelToken = undefined;
+  user.emailChangeCancelExpire = undefined;
+  user.emailChangePreviousEmail = undefined;
+};
+
+/**
+ * clearEmailLinks - Invalidate links that were sent to the old address
+ *
+ * @param {Object} user - User document
+ */
+const clearEmailLinks = (user) => {
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  user.magicLinkToken = undefined;
+  user.magicLinkCode = undefined;
+  user.magicLinkExpire = undefined;
+};
+
+/**
+ * isEmailTaken - Whether another account uses an email address
+ *
+ * @param {string} email - Email address
+ * @param {Object} user - The account asking (not counted)
+ * @returns {Promise<boolean>}
+ */
+const isEmailTaken = async (email, user) => {
+  return !!(await User.exists({ email, _id: { $ne: user._id } }));
+};
+
+/**
+ * POST /api/user/email-change
+ * 
+ * Start changing the account's email address. A confirmation link goes to
+ * the new address; the address only changes once it is opened. The current
+ * address gets a notice with a link to cancel (or undo) the change.
+ * 
+ * Authentication: Required, with a verified email
+ * Confirmation: password, or a recent sign-in for accounts without one
+ * 
+ * Request body:
+ * {
+ *   newEmail: string,
+ *   password: string (required if the account has a password)
+ * }
+ * 
+ * Response:
+ * {
+ *   success: boolean,
+ *   message: string,
+ *   pendingEmail: string
+ * }
+ * 
+ * Errors: 409 EMAIL_IN_USE if another account already uses the address
+ */
+router.post('/email-change', protect, requireVerifiedEmail, emailChangeLimit, async (req, res) => {
+  try {
+    const newEmail = typeof req.body.newEmail === 'string' ? req.body.newEmail.trim().toLowerCase() : '';
+
+    if (!validator.isEmail(newEmail)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid new email address is required'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (newEmail === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your email address'
+      });
+    }
+
+    if (!(await confirmIdentity(req, res, user, 'change your email address'))) return;
+
+    if (await isEmailTaken(newEmail, user)) {
+      return res.status(409).json({
+        success: false,
+        code: 'EMAIL_IN_USE',
+        message: 'This email address is already used by another account'
+      });
+    }
+
+    // Plaintext tokens only go into the emails; hashes are stored
+    const confirmToken = crypto.randomBytes(32).toString('hex');
+    const cancelToken = crypto.randomBytes(32).toString('hex');
+
+    user.pendingEmail = newEmail;
+    user.emailChangeToken = hashToken(confirmToken);
+    user.emailChangeExpire = Date.now() + EMAIL_CHANGE_EXPIRE_MS;
+    user.emailChangeCancelToken = hashToken(cancelToken);
+    user.emailChangeCancelExpire = Date.now() + EMAIL_CHANGE_CANCEL_EXPIRE_MS;
+    user.emailChangePreviousEmail = user.email;
+    await user.save();
+
+    const confirmSent = await sendEmailChangeConfirmEmail(newEmail, confirmToken);
+    if (!confirmSent) {
+      throw new Error('Failed to send confirmation email');
+    }
+
+    // The change can still be confirmed if the notice fails; it is logged
+    const noticeSent = await sendEmailChangeNoticeEmail(user.email, newEmail, cancelToken);
+    if (!noticeSent) {
+      console.error('❌ Failed to send email change notice to:', user.email);
+    }
+
+    await recordSecurityEvent(req, 'email.change_requested', { user, metadata: { newEmail } });
+
+    res.json({
+      success: true,
+      message: `We sent a confirmation link to ${newEmail}. Your email changes once you open it.`,
+      pendingEmail: newEmail
+    });
+  } catch (error) {
+    console.error('Email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/user/email-change
+ * 
+ * Cancel a pending email change from the app.
+ * 
+ * Authentication: Required (JWT token in Authorization header)
+ */
+router.delete('/email-change', protect, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.pendingEmail) {
+      return res.status(404).json({
+        success: false,
+        message: 'There is no pending email change'
+      });
+    }
+
+    const newEmail = user.pendingEmail;
+    clearEmailChange(user);
+    await user.save();
+
+    await recordSecurityEvent(req, 'email.change_cancelled', { user, metadata: { newEmail } });
+
+    res.json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/user/email-change/confirm/:token
+ * 
+ * Target of the link sent to the new address. Switches the account to the
+ * new address and redirects to a result page.
+ */
+router.get('/email-change/confirm/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailChangeToken: hashToken(req.params.token),
+      emailChangeExpire: { $gt: Date.now() }
+    });
+
+    if (!user || !user.pendingEmail) {
+      return res.redirect('/email-change-invalid.html');
+    }
+
+    const previousEmail = user.email;
+    const newEmail = user.pendingEmail;
+
+    // Someone registered the address after the change was requested
+    if (await isEmailTaken(newEmail, user)) {
+      clearEmailChange(user);
+      await user.save();
+      return res.redirect('/email-change-conflict.html');
+    }
+
+    user.email = newEmail;
+    // Opening the link proves the user owns the new address
+    user.emailVerified = true;
+    user.pendingEmail = null;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpire = undefined;
+    clearEmailLinks(user);
+
+    try {
+      await user.save();
+    } catch (error) {
+      // Unique index: the address was taken between the check and the save
+      if (error.code === 11000) {
+        return res.redirect('/email-change-conflict.html');
+      }
+      throw error;
+    }
+
+    await recordSecurityEvent(req, 'email.changed', {
+      user,
+      metadata: { from: previousEmail, to: newEmail }
+    });
+
+    res.redirect('/email-change-success.html');
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.redirect('/email-change-invalid.html');
+  }
+});
+
+/**
+ * GET /api/user/email-change/cancel/:token
+ * 
+ * Target of the link sent to the old address. Cancels a pending change, or
+ * undoes a completed one (restoring the old address and signing out every
+ * device, since the change may not have been made by the owner).
+ */
+router.get('/email-change/cancel/:token', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailChangeCancelToken: hashToken(req.params.token),
+      emailChangeCancelExpire: { $gt: Date.now() }
+    }).select('+emailChangePreviousEmail');
+
+    if (!user) {
+      return res.redirect('/email-change-invalid.html');
+    }
+
+    const previousEmail = user.emailChangePreviousEmail;
+    const reverted = previousEmail && user.email !== previousEmail;
+    const changedTo = reverted ? user.email : user.pendingEmail;
+
+    if (reverted) {
+      if (await isEmailTaken(previousEmail, user)) {
+        return res.redirect('/email-change-conflict.html');
+      }
+
+      user.email = previousEmail;
+      user.emailVerified = true;
+      clearEmailLinks(user);
+    }
+
+    clearEmailChange(user);
+    await user.save();
+
+    if (reverted) {
+      await revokeUserSessions(user._id);
+      await revokeUserAccessTokens(user._id);
+    }
+
+    await recordSecurityEvent(req, reverted ? 'email.change_reverted' : 'email.change_cancelled', {
+      user,
+      metadata: { newEmail: changedTo }
+    });
+
+    res.redirect('/email-change-cancelled.html');
+  } catch (error) {
+    console.error('Cancel email change link error:', error);
+    res.redirect('/email-change-invalid.html');
+  }
+});
+
+// ======================
+// Security Events
+// ======================
+
+/**
+ * GET /api/user/security-events
+ *
+ * The authenticated user's security history (sign-ins, failed sign-ins,
+ * password changes, linked providers, revoked sessions, ...), newest first.
+ *
+ * Authentication: Required (JWT token in Authorization header)
+ *
+ * Query parameters (all optional):
+ * - type: event type, comma separated for several (e.g. login.failure)
+ * - from, to: ISO dates
+ * - limit: page size (default 50, max 100)
+ * - before: nextCursor from the previous page
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   count: number,
+ *   data: [{ id, type, ip, userAgent, metadata, createdAt, ... }],
+ *   nextCursor: string|null
+ * }
+ */
+router.get('/security-events', protect, async (req, res) => {
+  try {
+    const { filter, error } = buildEventQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { events, nextCursor } = await findSecurityEvents(
+      { ...filter, user: req.user._id },
+      req.query.limit
     );
 
-    // Send success response with updated user
     res.json({
       success: true,
-      user
+      count: events.length,
+      data: events,
+      nextCursor
+    });
+  } catch (error) {
+    console.error('Security events error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Personal Access Tokens
+// ======================
+
+/**
+ * GET /api/user/tokens
+ *
+ * List the user's active personal access tokens (never the tokens themselves)
+ * and the scopes that can be granted.
+ *
+ * Authentication: Required (JWT token in Authorization header)
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   data: [{ id, name, prefix, scopes, expiresAt, lastUsedAt, createdAt }],
+ *   scopes: { 'water:read': description, ... }
+ * }
+ */
+router.get('/tokens', protect, async (req, res) => {
+  try {
+    const tokens = await AccessToken.find({ user: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: tokens.filter(t => t.isActive()).map(formatAccessToken),
+      scopes: SCOPE_DESCRIPTIONS
+    });
+  } catch (error) {
+    console.error('List access tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/user/tokens
+ *
+ * Create a personal access token. The token is only returned in this
+ * response; store it right away.
+ *
+ * Authentication: Required (JWT token in Authorization header)
+ *
+ * Request body:
+ * {
+ *   name: string,
+ *   scopes: string[] (e.g. ['water:write']),
+ *   expiresInDays: number (optional, 1-365; omit for no expiry)
+ * }
+ *
+ * Response (201):
+ * {
+ *   success: boolean,
+ *   token: string (starts with "bhp_"),
+ *   data: { id, name, prefix, scopes, expiresAt, lastUsedAt, createdAt }
+ * }
+ */
+router.post('/tokens', protect, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token name is required'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        message: `Scopes must be a non-empty list of: ${SCOPES.join(', ')}`
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+
+      if (!Number.isInteger(days) || days < 1 || days > MAX_TOKEN_EXPIRY_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `expiresInDays must be a whole number between 1 and ${MAX_TOKEN_EXPIRY_DAYS}`
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeCount = await AccessToken.countDocuments({
+      user: req.user._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+
+    if (activeCount >= MAX_ACCESS_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACCESS_TOKENS} access tokens. Revoke one first.`
+      });
+    }
+
+    const { token, accessToken } = await createAccessToken(req.user._id, {
+      name: name.trim(),
+      scopes,
+      expiresAt
+    });
+
+    await recordSecurityEvent(req, 'access_token.created', {
+      user: req.user,
+      metadata: { tokenId: accessToken._id, name: accessToken.name, scopes: accessToken.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      token,
+      data: formatAccessToken(accessToken)
+    });
+  } catch (error) {
+    // e.g. a name longer than the model allows
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create access token error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/user/tokens/:id
+ *
+ * Revoke a personal access token. It stops working immediately.
+ *
+ * Authentication: Required (JWT token in Authorization header)
+ */
+router.delete('/tokens/:id', protect, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Only the user's own tokens can be revoked
+    const accessToken = mongoose.isValidObjectId(id) && await AccessToken.findOneAndUpdate(
+      { _id: id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Token not found'
+      });
+    }
+
+    await recordSecurityEvent(req, 'access_token.revoked', {
+      user: req.user,
+      metadata: { tokenId: accessToken._id, name: accessToken.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Data Export
+// ======================
+
+/**
+ * toCsvValue - Escape one value for a CSV cell
+ *
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * GET /api/user/export
+ *
+ * Download everything stored about the authenticated user as a zip archive:
+ * - export.json: profile, linked providers, sessions and water entries
+ * - water.csv: water entries, one per row
+ *
+ * Secrets (password hash, provider tokens, 2FA secret, reset and sign-in
+ * tokens) are never included.
+ *
+ * Authentication: Required (JWT token in Authorization header)
+ *
+ * Response: application/zip attachment
+ */
+router.get('/export', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const [sessions, water] = await Promise.all([
+      Session.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+      Water.find({ user: user._id }).sort({ date: 1 }).lean()
+    ]);
+
+    const data = {
+      exportedAt: new Date(),
+      profile: serializeUser(user, 'self'),
+      // Provider IDs and tokens stay out of the export
+      providers: serializeProviders(user.oauthProviders),
+      sessions: sessions.map(s => ({
+        id: s._id,
+        deviceName: s.deviceName,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastSeenAt: s.lastSeenAt,
+        revokedAt: s.revokedAt
+      })),
+      water: water.map(entry => serializeWater(entry))
+    };
+
+    const csvColumns = ['date', 'volumeMl', 'beverage', 'hydrationMl', 'notes', 'createdAt', 'updatedAt'];
+    const csv = [
+      csvColumns.join(','),
+      ...data.water.map(w => csvColumns.map(c => toCsvValue(w[c])).join(','))
+    ].join('\r\n');
+
+    const fileName = `better-health-export-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    res.attachment(fileName);
+    res.set('Cache-Control', 'no-store');
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('error', (error) => {
+      console.error('Export archive error:', error);
+      res.destroy(error);
+    });
+
+    archive.pipe(res);
+    archive.append(JSON.stringify(data, null, 2), { name: 'export.json' });
+    archive.append(csv, { name: 'water.csv' });
+    await archive.finalize();
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// ======================
+// Account Deletion
+// ======================
+
+/**
+ * DELETE /api/user
+ *
+ * Schedule the authenticated user's account for deletion. The user is
+ * signed out on every device and all data is permanently deleted after
+ * the grace period (ACCOUNT_DELETION_GRACE_DAYS, default 30). Signing in
+ * again before then cancels the deletion.
+ *
+ * Confirmation:
+ * - Accounts with a password must send it.
+ * - Accounts without one (Google/GitHub only) must have signed in within
+ *   the last 10 minutes; otherwise the response is 403 REAUTH_REQUIRED.
+ *
+ * Authentication: Required (JWT token in Authorization header)
+ *
+ * Request body:
+ * {
+ *   password: string (required if the account has a password)
+ * }
+ *
+ * Response:
+ * {
+ *   success: boolean,
+ *   message: string,
+ *   deleteAt: Date
+ * }
+ */
+router.delete('/', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await confirmIdentity(req, res, user, 'delete your account'))) return;
+
+    const deleteAt = await scheduleDeletion(user);
+    await recordSecurityEvent(req, 'account.deletion_scheduled', { user, metadata: { deleteAt } });
+
+    // Deletion goes ahead even if the email cannot be sent
+    await sendAccountDeletionEmail(user.email, deleteAt);
+
+    res.json({
+      success: true,
+      message: 'Your account will be deleted. Sign in again before then to cancel.',
+      deleteAt
     });
   } catch (error) {
-    // Return error response
+    console.error('Delete account error:', error);
     res.status(500).json({
       success: false,
       message: error.message
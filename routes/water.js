@@ -1,43 +1,186 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Water = require('../models/Water');
-const { protect } = require('../middleware/auth');
+const HydrationAdjustment = require('../models/HydrationAdjustment');
+const Container = require('../models/Container');
+const { protect, allowAccessTokens, requireScope } = require('../middleware/auth');
+const { serializeWater } = require('../utils/serializers');
+const {
+  isValidManualGoal,
+  getCurrentGoal,
+  updateGoal,
+  getGoalHistory,
+  loadGoalContext,
+  getDayGoal,
+  summarizeProgress,
+  formatProgress,
+  formatGoal
+} = require('../utils/hydrationGoals');
+const {
+  ADJUSTMENT_TYPES,
+  MIN_ADJUSTMENT_ML,
+  MAX_ADJUSTMENT_ML,
+  MIN_GOAL_ML,
+  MAX_GOAL_ML,
+  MAX_ENTRY_ML,
+  BEVERAGE_TYPES,
+  MAX_CONTAINER_PRESETS
+} = require('../config/hydration');
+const { UNIT_NAMES, isVolumeUnit, getPreferredUnit, fromMl, parseAmount } = require('../utils/volumeUnits');
+const { isValidTimeZone, isValidDay, getDay, startOfDay, getDayRange } = require('../utils/timeZones');
+const { resolveStatsRange, getWaterStats } = require('../utils/waterStats');
+const { buildWaterQuery, findWaterPage, sumWater } = require('../utils/waterQuery');
 
 const router = express.Router();
 
+// Amounts are in the user's volume unit: ?unit=ml|l|fl_oz|glass if given,
+// otherwise the unit of the profile. Responses say which unit was used.
+const resolveVolumeUnit = (req, res, next) => {
+  const unit = req.query.unit === undefined ? getPreferredUnit(req.user) : req.query.unit;
+
+  if (!isVolumeUnit(unit)) {
+    return res.status(400).json({
+      success: false,
+      message: `unit must be one of: ${UNIT_NAMES.join(', ')}`
+    });
+  }
+
+  req.volumeUnit = unit;
+  next();
+};
+
 // All routes are protected - user must be logged in
-router.use(protect);
+// Personal access tokens work too, limited to the water:read / water:write scopes
+router.use(allowAccessTokens, protect, resolveVolumeUnit);
+
+// Days are calendar days in the user's time zone: ?tz=<IANA zone> if given,
+// otherwise the timezone of the profile. Responses say which zone was used.
+const resolveTimeZone = (req, res, next) => {
+  const timeZone = req.query.tz || req.user.timezone || 'UTC';
+
+  if (typeof timeZone !== 'string' || !isValidTimeZone(timeZone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'tz must be an IANA time zone such as America/Vancouver'
+    });
+  }
+
+  req.timeZone = timeZone;
+  next();
+};
+
+// Entry dates sent as a plain day (YYYY-MM-DD) mean the start of that day
+// in the user's time zone; anything else is parsed as a date-time
+const parseEntryDate = (date, timeZone) => (isValidDay(date) ? startOfDay(date, timeZone) : date);
+
+// Amount of an entry in ml: `amount` in the request's unit, or `glasses`
+// from clients written before entries had volumes. {} when neither is sent.
+const readEntryAmount = (body, unit) => {
+  if (body.amount !== undefined) {
+    return parseAmount(body.amount, unit, { minMl: 0, maxMl: MAX_ENTRY_ML });
+  }
+  if (body.glasses !== undefined) {
+    return parseAmount(body.glasses, 'glass', { minMl: 0, maxMl: MAX_ENTRY_ML, name: 'glasses' });
+  }
+  return {};
+};
+
+const isBeverage = (value) => BEVERAGE_TYPES.includes(value);
+
+// One of the user's container presets, or null
+const findContainer = (user, id) => (mongoose.isValidObjectId(id)
+  ? Container.findOne({ _id: id, user: user.id })
+  : null);
+
+// Public view of a container preset
+const formatContainer = (container, unit) => ({
+  id: container._id,
+  name: container.name,
+  amount: fromMl(container.volumeMl, unit),
+  volumeMl: container.volumeMl,
+  beverage: container.beverage,
+  unit
+});
+
+// Public view of a goal adjustment
+const formatAdjustment = (adjustment, unit) => ({
+  id: adjustment._id,
+  day: adjustment.day,
+  type: adjustment.type,
+  extra: fromMl(adjustment.extraMl, unit),
+  unit,
+  notes: adjustment.notes
+});
+
+// Volume and hydration (what counts towards the goal) of some entries, in ml
+const sumEntries = (entries) => ({
+  volumeMl: entries.reduce((sum, entry) => sum + entry.volumeMl, 0),
+  hydrationMl: entries.reduce((sum, entry) => sum + entry.hydrationMl, 0)
+});
+
+// Progress towards the goal of one day
+const getDayProgress = async (user, day, dayEnd, hydrationMl) => {
+  const context = await loadGoalContext(user, day, day);
+  return summarizeProgress(getDayGoal(context, day, dayEnd), hydrationMl);
+};
 
 // Add a new water intake entry
-router.post('/', async (req, res) => {
+// { amount (in the unit), beverage, container (preset id), date, notes }
+// A container preset fills in the amount and beverage when they are not sent
+router.post('/', requireScope('water:write'), resolveTimeZone, async (req, res) => {
   try {
-    const { glasses, date, notes } = req.body;
+    const { beverage, container: containerId, date, notes } = req.body;
+    const amount = readEntryAmount(req.body, req.volumeUnit);
 
     // Basic validation
-    if (!glasses && glasses !== 0) {
+    if (amount.error) {
       return res.status(400).json({
         success: false,
-        message: 'Number of glasses is required'
+        message: amount.error
       });
     }
 
-    if (glasses < 0 || glasses > 50) {
+    if (beverage !== undefined && !isBeverage(beverage)) {
+      return res.status(400).json({
+        success: false,
+        message: `beverage must be one of: ${BEVERAGE_TYPES.join(', ')}`
+      });
+    }
+
+    let container = null;
+    if (containerId !== undefined && containerId !== null) {
+      container = await findContainer(req.user, containerId);
+
+      if (!container) {
+        return res.status(404).json({
+          success: false,
+          message: 'Container not found'
+        });
+      }
+    }
+
+    const volumeMl = amount.ml ?? (container && container.volumeMl);
+
+    if (volumeMl === undefined || volumeMl === null) {
       return res.status(400).json({
         success: false,
-        message: 'Glasses must be between 0 and 50'
+        message: 'amount (or a container preset) is required'
       });
     }
 
     // Create water intake entry
     const waterEntry = await Water.create({
       user: req.user.id,
-      glasses,
-      date: date || new Date(),
+      volumeMl,
+      beverage: beverage || (container && container.beverage) || 'water',
+      container: container ? container._id : null,
+      date: date ? parseEntryDate(date, req.timeZone) : new Date(),
       notes
     });
 
     res.status(201).json({
       success: true,
-      data: waterEntry
+      data: serializeWater(waterEntry, 'self', req.volumeUnit)
     });
 
   } catch (error) {
@@ -49,21 +192,36 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get all water intake entries for logged in user
-router.get('/', async (req, res) => {
+// Get water intake history, newest first by default (see utils/waterQuery.js)
+// ?from, ?to, ?q (notes), ?beverage, ?sort, ?fields, ?limit and ?cursor (nextCursor of the previous page)
+router.get('/', requireScope('water:read'), resolveTimeZone, async (req, res) => {
   try {
-    const waterEntries = await Water.find({ user: req.user.id })
-      .sort({ date: -1 }) // Most recent first
-      .lean();
+    const query = buildWaterQuery(req.user, req.query, req.timeZone);
+
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        message: query.error
+      });
+    }
 
-    // Calculate total glasses
-    const totalGlasses = waterEntries.reduce((sum, entry) => sum + entry.glasses, 0);
+    // Totals cover every entry matching the filters, not just this page
+    const [page, totals] = await Promise.all([
+      findWaterPage(query, req.volumeUnit),
+      sumWater(query.filter)
+    ]);
 
     res.json({
       success: true,
-      count: waterEntries.length,
-      totalGlasses,
-      data: waterEntries
+      count: page.entries.length,
+      totalEntries: totals.totalEntries,
+      totalVolume: fromMl(totals.volumeMl, req.volumeUnit),
+      totalHydration: fromMl(totals.hydrationMl, req.volumeUnit),
+      unit: req.volumeUnit,
+      timeZone: req.timeZone,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor,
+      data: page.entries
     });
 
   } catch (error) {
@@ -75,32 +233,41 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get water intake for a specific date
-router.get('/date/:date', async (req, res) => {
+// Get water intake for a specific date (YYYY-MM-DD, in the user's time zone)
+router.get('/date/:date', requireScope('water:read'), resolveTimeZone, async (req, res) => {
   try {
     const { date } = req.params;
-    
-    // Parse date (format: YYYY-MM-DD)
-    const startDate = new Date(date);
-    const endDate = new Date(date);
-    endDate.setDate(endDate.getDate() + 1);
+
+    if (!isValidDay(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const { start, end } = getDayRange(date, req.timeZone);
 
     const waterEntries = await Water.find({
       user: req.user.id,
       date: {
-        $gte: startDate,
-        $lt: endDate
+        $gte: start,
+        $lt: end
       }
     }).lean();
 
-    const totalForDate = waterEntries.reduce((sum, entry) => sum + entry.glasses, 0);
+    const totalForDate = sumEntries(waterEntries);
+    const progress = await getDayProgress(req.user, date, end, totalForDate.hydrationMl);
 
     res.json({
       success: true,
       date: date,
-      totalGlasses: totalForDate,
+      timeZone: req.timeZone,
+      unit: req.volumeUnit,
+      total: fromMl(totalForDate.hydrationMl, req.volumeUnit),
+      totalVolume: fromMl(totalForDate.volumeMl, req.volumeUnit),
+      goal: formatProgress(progress, req.volumeUnit),
       entries: waterEntries.length,
-      data: waterEntries
+      data: waterEntries.map(entry => serializeWater(entry, 'self', req.volumeUnit))
     });
 
   } catch (error) {
@@ -112,31 +279,33 @@ router.get('/date/:date', async (req, res) => {
   }
 });
 
-// Get today's water intake
-router.get('/today', async (req, res) => {
+// Get today's water intake (today in the user's time zone)
+router.get('/today', requireScope('water:read'), resolveTimeZone, async (req, res) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const today = getDay(new Date(), req.timeZone);
+    const { start, end } = getDayRange(today, req.timeZone);
 
     const waterEntries = await Water.find({
       user: req.user.id,
       date: {
-        $gte: today,
-        $lt: tomorrow
+        $gte: start,
+        $lt: end
       }
     }).lean();
 
-    const totalToday = waterEntries.reduce((sum, entry) => sum + entry.glasses, 0);
+    const totalToday = sumEntries(waterEntries);
+    const progress = await getDayProgress(req.user, today, end, totalToday.hydrationMl);
 
     res.json({
       success: true,
-      date: today.toISOString().split('T')[0],
-      totalGlasses: totalToday,
+      date: today,
+      timeZone: req.timeZone,
+      unit: req.volumeUnit,
+      total: fromMl(totalToday.hydrationMl, req.volumeUnit),
+      totalVolume: fromMl(totalToday.volumeMl, req.volumeUnit),
+      goal: formatProgress(progress, req.volumeUnit),
       entries: waterEntries.length,
-      data: waterEntries
+      data: waterEntries.map(entry => serializeWater(entry, 'self', req.volumeUnit))
     });
 
   } catch (error) {
@@ -148,65 +317,380 @@ router.get('/today', async (req, res) => {
   }
 });
 
-// Get water statistics for period
-router.get('/stats', async (req, res) => {
+// Get water statistics for a range of days (see utils/waterStats.js)
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD, ?week=YYYY-Www, ?month=YYYY-MM or ?period=day|week|month|year
+router.get('/stats', requireScope('water:read'), resolveTimeZone, async (req, res) => {
   try {
-    const { period = 'week' } = req.query; // day, week, month, year
-    
-    let startDate = new Date();
-    
-    switch (period) {
-      case 'day':
-        startDate.setDate(startDate.getDate() - 1);
-        break;
-      case 'week':
-        startDate.setDate(startDate.getDate() - 7);
-        break;
-      case 'month':
-        startDate.setMonth(startDate.getMonth() - 1);
-        break;
-      case 'year':
-        startDate.setFullYear(startDate.getFullYear() - 1);
-        break;
-      default:
-        startDate.setDate(startDate.getDate() - 7);
+    const range = resolveStatsRange(req.query, req.timeZone);
+
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
     }
 
-    const waterEntries = await Water.find({
+    const stats = await getWaterStats(req.user, range, req.timeZone, req.volumeUnit);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get the current daily goal
+router.get('/goal', requireScope('water:read'), async (req, res) => {
+  try {
+    const goal = await getCurrentGoal(req.user);
+
+    res.json({
+      success: true,
+      data: formatGoal(goal, req.volumeUnit)
+    });
+
+  } catch (error) {
+    console.error('Get goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Set (or clear with null) a manual daily goal instead of the calculated one
+// { manualGoal } in the unit
+router.put('/goal', requireScope('water:write'), async (req, res) => {
+  try {
+    const { manualGoal } = req.body;
+    const manual = manualGoal === null
+      ? { ml: null }
+      : parseAmount(manualGoal, req.volumeUnit, { minMl: MIN_GOAL_ML, maxMl: MAX_GOAL_ML, name: 'manualGoal' });
+
+    if (manual.error || !isValidManualGoal(manual.ml)) {
+      return res.status(400).json({
+        success: false,
+        message: `${manual.error || 'manualGoal is invalid'}, or null to use the calculated goal`
+      });
+    }
+
+    // Older days keep the goal they had; the new version applies from now on
+    const { goal, changed } = await updateGoal(req.user, { reason: 'manual', manualMl: manual.ml });
+
+    res.json({
+      success: true,
+      changed,
+      data: formatGoal(goal, req.volumeUnit)
+    });
+
+  } catch (error) {
+    console.error('Update goal error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get every version of the daily goal, newest first
+router.get('/goal/history', requireScope('water:read'), async (req, res) => {
+  try {
+    const versions = await getGoalHistory(req.user);
+
+    res.json({
+      success: true,
+      count: versions.length,
+      data: versions.map(version => formatGoal(version, req.volumeUnit))
+    });
+
+  } catch (error) {
+    console.error('Get goal history error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get goal adjustments (optionally ?from=YYYY-MM-DD&to=YYYY-MM-DD)
+router.get('/adjustments', requireScope('water:read'), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const filter = { user: req.user.id };
+
+    for (const [value, operator] of [[from, '$gte'], [to, '$lte']]) {
+      if (value === undefined) continue;
+
+      if (!isValidDay(value)) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be dates in YYYY-MM-DD format'
+        });
+      }
+      filter.day = { ...filter.day, [operator]: value };
+    }
+
+    const adjustments = await HydrationAdjustment.find(filter).sort({ day: -1 }).lean();
+
+    res.json({
+      success: true,
+      count: adjustments.length,
+      data: adjustments.map(adjustment => formatAdjustment(adjustment, req.volumeUnit))
+    });
+
+  } catch (error) {
+    console.error('Get adjustments error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Add (or replace) an adjustment for a day, e.g. a workout or hot weather
+// { day, type, extra (in the unit, defaults to the type's usual amount), notes }
+router.post('/adjustments', requireScope('water:write'), async (req, res) => {
+  try {
+    const { day, type, extra, notes } = req.body;
+
+    if (!isValidDay(day)) {
+      return res.status(400).json({
+        success: false,
+        message: 'day must be a date in YYYY-MM-DD format'
+      });
+    }
+
+    if (!ADJUSTMENT_TYPES[type]) {
+      return res.status(400).json({
+        success: false,
+        message: `type must be one of: ${Object.keys(ADJUSTMENT_TYPES).join(', ')}`
+      });
+    }
+
+    const extraMl = extra === undefined
+      ? { ml: ADJUSTMENT_TYPES[type] }
+      : parseAmount(extra, req.volumeUnit, { minMl: MIN_ADJUSTMENT_ML, maxMl: MAX_ADJUSTMENT_ML, name: 'extra' });
+
+    if (extraMl.error) {
+      return res.status(400).json({
+        success: false,
+        message: extraMl.error
+      });
+    }
+
+    // One adjustment per type and day: a second workout replaces the first
+    const adjustment = await HydrationAdjustment.findOneAndUpdate(
+      { user: req.user.id, day, type },
+      { extraMl: extraMl.ml, notes },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: formatAdjustment(adjustment, req.volumeUnit)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Add adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete an adjustment
+router.delete('/adjustments/:id', requireScope('water:write'), async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id) &&
+      await HydrationAdjustment.deleteOne({ _id: req.params.id, user: req.user.id });
+
+    if (!result || result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Adjustment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Adjustment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete adjustment error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get the user's container presets
+router.get('/containers', requireScope('water:read'), async (req, res) => {
+  try {
+    const containers = await Container.find({ user: req.user.id }).sort({ name: 1 }).lean();
+
+    res.json({
+      success: true,
+      count: containers.length,
+      data: containers.map(container => formatContainer(container, req.volumeUnit))
+    });
+
+  } catch (error) {
+    console.error('Get containers error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Add a container preset { name, amount (in the unit), beverage }
+router.post('/containers', requireScope('water:write'), async (req, res) => {
+  try {
+    const { name, beverage } = req.body;
+    const amount = parseAmount(req.body.amount, req.volumeUnit, { minMl: 1, maxMl: MAX_ENTRY_ML });
+
+    if (amount.error) {
+      return res.status(400).json({
+        success: false,
+        message: amount.error
+      });
+    }
+
+    const count = await Container.countDocuments({ user: req.user.id });
+    if (count >= MAX_CONTAINER_PRESETS) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_CONTAINER_PRESETS} container presets`
+      });
+    }
+
+    const container = await Container.create({
       user: req.user.id,
-      date: { $gte: startDate }
-    }).lean();
+      name,
+      volumeMl: amount.ml,
+      beverage
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatContainer(container, req.volumeUnit)
+    });
 
-    const totalGlasses = waterEntries.reduce((sum, entry) => sum + entry.glasses, 0);
-    const averageDaily = waterEntries.length > 0 
-      ? Math.round((totalGlasses / waterEntries.length) * 10) / 10
-      : 0;
-
-    // Group by date for daily breakdown
-    const dailyData = {};
-    waterEntries.forEach(entry => {
-      const dateStr = entry.date.toISOString().split('T')[0];
-      if (!dailyData[dateStr]) {
-        dailyData[dateStr] = 0;
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a container with this name'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Add container error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update a container preset (existing entries keep their amounts)
+router.put('/containers/:id', requireScope('water:write'), async (req, res) => {
+  try {
+    const { name, beverage } = req.body;
+    const container = await findContainer(req.user, req.params.id);
+
+    if (!container) {
+      return res.status(404).json({
+        success: false,
+        message: 'Container not found'
+      });
+    }
+
+    if (req.body.amount !== undefined) {
+      const amount = parseAmount(req.body.amount, req.volumeUnit, { minMl: 1, maxMl: MAX_ENTRY_ML });
+
+      if (amount.error) {
+        return res.status(400).json({
+          success: false,
+          message: amount.error
+        });
       }
-      dailyData[dateStr] += entry.glasses;
+      container.volumeMl = amount.ml;
+    }
+
+    if (name !== undefined) container.name = name;
+    if (beverage !== undefined) container.beverage = beverage;
+
+    await container.save();
+
+    res.json({
+      success: true,
+      data: formatContainer(container, req.volumeUnit)
     });
 
-    const stats = {
-      period: period,
-      totalEntries: waterEntries.length,
-      totalGlasses: totalGlasses,
-      averageDaily: averageDaily,
-      dailyBreakdown: dailyData
-    };
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a container with this name'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update container error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete a container preset (entries logged with it are kept)
+router.delete('/containers/:id', requireScope('water:write'), async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id) &&
+      await Container.deleteOne({ _id: req.params.id, user: req.user.id });
+
+    if (!result || result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Container not found'
+      });
+    }
+
+    await Water.updateMany({ user: req.user.id, container: req.params.id }, { container: null });
 
     res.json({
       success: true,
-      data: stats
+      message: 'Container deleted successfully'
     });
 
   } catch (error) {
-    console.error('Get stats error:', error);
+    console.error('Delete container error:', error);
     res.status(500).json({
       success: false,
       message: error.message
@@ -215,12 +699,13 @@ router.get('/stats', async (req, res) => {
 });
 
 // Update a water entry
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireScope('water:write'), resolveTimeZone, async (req, res) => {
   try {
     const { id } = req.params;
-    const { glasses, date, notes } = req.body;
+    const { beverage, container: containerId, date, notes } = req.body;
+    const amount = readEntryAmount(req.body, req.volumeUnit);
 
-    let waterEntry = await Water.findById(id);
+    let waterEntry = mongoose.isValidObjectId(id) ? await Water.findById(id) : null;
 
     if (!waterEntry) {
       return res.status(404).json({
@@ -237,25 +722,47 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // Update fields
-    if (glasses !== undefined) {
-      if (glasses < 0 || glasses > 50) {
-        return res.status(400).json({
+    if (amount.error) {
+      return res.status(400).json({
+        success: false,
+        message: amount.error
+      });
+    }
+
+    if (beverage !== undefined && !isBeverage(beverage)) {
+      return res.status(400).json({
+        success: false,
+        message: `beverage must be one of: ${BEVERAGE_TYPES.join(', ')}`
+      });
+    }
+
+    // Switching to a preset takes its amount and beverage unless they are sent
+    if (containerId !== undefined) {
+      const container = containerId === null ? null : await findContainer(req.user, containerId);
+
+      if (containerId !== null && !container) {
+        return res.status(404).json({
           success: false,
-          message: 'Glasses must be between 0 and 50'
+          message: 'Container not found'
         });
       }
-      waterEntry.glasses = glasses;
+
+      waterEntry.container = container ? container._id : null;
+      if (container && amount.ml === undefined) waterEntry.volumeMl = container.volumeMl;
+      if (container && beverage === undefined) waterEntry.beverage = container.beverage;
     }
-    
-    if (date !== undefined) waterEntry.date = date;
+
+    // Update fields
+    if (amount.ml !== undefined) waterEntry.volumeMl = amount.ml;
+    if (beverage !== undefined) waterEntry.beverage = beverage;
+    if (date !== undefined) waterEntry.date = parseEntryDate(date, req.timeZone);
     if (notes !== undefined) waterEntry.notes = notes;
 
     await waterEntry.save();
 
     res.json({
       success: true,
-      data: waterEntry
+      data: serializeWater(waterEntry, 'self', req.volumeUnit)
     });
 
   } catch (error) {
@@ -268,11 +775,11 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete a water entry
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireScope('water:write'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const waterEntry = await Water.findById(id);
+    const waterEntry = mongoose.isValidObjectId(id) ? await Water.findById(id) : null;
 
     if (!waterEntry) {
       return res.status(404).json({
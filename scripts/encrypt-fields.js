@@ -0,0 +1,157 @@
+/**
+ * scripts/encrypt-fields.js - Encrypt Existing Secrets
+ *
+ * One-off migration for field-level encryption (see utils/fieldEncryption.js).
+ * Finds every schema path declared with encryptedString() and rewrites stored
+ * values that are still plaintext, or that were encrypted with a key other
+ * than the current one (key rotation).
+ *
+ * Safe to run more than once: values already using the current key are skipped.
+ *
+ * Usage:
+ *   npm run migrate:encrypt-fields             # encrypt / re-encrypt
+ *   npm run migrate:encrypt-fields -- --dry-run  # only count what would change
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+// Import required packages
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { encrypt, decrypt, needsReencryption } = require('../utils/fieldEncryption');
+
+// Models with encrypted fields
+const MODELS = [User];
+
+// Documents written per bulk request
+const BATCH_SIZE = 500;
+
+const dryRun = process.argv.includes('--dry-run');
+
+// ======================
+// Schema Inspection
+// ======================
+
+/**
+ * findEncryptedPaths - List the encrypted paths of a schema
+ *
+ * @param {Object} schema - Mongoose schema
+ * @returns {{ path: string, arrayPath?: string }[]} - For paths inside an
+ *          array of subdocuments, arrayPath is the array and path is relative to it
+ */
+const findEncryptedPaths = (schema) => {
+  const paths = [];
+
+  schema.eachPath((path, schemaType) => {
+    if (schemaType.options.encrypted) {
+      paths.push({ path });
+    } else if (schemaType.$isMongooseDocumentArray) {
+      findEncryptedPaths(schemaType.schema).forEach(sub => {
+        paths.push({ arrayPath: path, path: sub.path });
+      });
+    }
+  });
+
+  return paths;
+};
+
+/**
+ * getValue - Read a dotted path from a raw document
+ *
+ * @param {Object} doc - Raw MongoDB document
+ * @param {string} path - Dotted path
+ * @returns {*}
+ */
+const getValue = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+/**
+ * buildUpdate - $set of re-encrypted values for one raw document
+ *
+ * @param {Object} doc - Raw MongoDB document
+ * @param {Object[]} paths - Result of findEncryptedPaths
+ * @returns {Object} - Empty if nothing needs to change
+ */
+const buildUpdate = (doc, paths) => {
+  const update = {};
+
+  const reencrypt = (target, value) => {
+    if (needsReencryption(value)) {
+      update[target] = encrypt(decrypt(value));
+    }
+  };
+
+  paths.forEach(({ path, arrayPath }) => {
+    if (!arrayPath) {
+      return reencrypt(path, getValue(doc, path));
+    }
+
+    (getValue(doc, arrayPath) || []).forEach((item, index) => {
+      reencrypt(`${arrayPath}.${index}.${path}`, getValue(item, path));
+    });
+  });
+
+  return update;
+};
+
+// ======================
+// Migration
+// ======================
+
+/**
+ * migrateModel - Encrypt the secrets of every document of one model
+ *
+ * Works on the raw collection so Mongoose getters do not decrypt values.
+ *
+ * @param {Object} Model - Mongoose model
+ * @returns {Promise<{ scanned: number, updated: number }>}
+ */
+const migrateModel = async (Model) => {
+  const paths = findEncryptedPaths(Model.schema);
+  let scanned = 0;
+  let updated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) {
+      await Model.collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  // Only fetch the fields that may need encrypting
+  const projection = Object.fromEntries(paths.map(({ path, arrayPath }) => [arrayPath || path, 1]));
+
+  for await (const doc of Model.collection.find({}, { projection })) {
+    scanned += 1;
+    const update = buildUpdate(doc, paths);
+
+    if (Object.keys(update).length > 0) {
+      updated += 1;
+      batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: update } } });
+    }
+
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+  return { scanned, updated };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  for (const Model of MODELS) {
+    const { scanned, updated } = await migrateModel(Model);
+    console.log(`${Model.modelName}: ${scanned} scanned, ${updated} ${dryRun ? 'to update' : 'updated'}`);
+  }
+};
+
+run()
+  .catch(error => {
+    console.error('Field encryption migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
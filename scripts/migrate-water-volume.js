@@ -0,0 +1,39 @@
+/**
+ * scripts/migrate-water-volume.js - Convert Glasses to Millilitres
+ *
+ * One-off migration for volume-based water tracking (see
+ * utils/waterVolumeMigration.js). The server will not start until it has run.
+ *
+ * Safe to run more than once: documents already converted are skipped.
+ * Requires MongoDB 4.2+ (updates with aggregation pipelines).
+ *
+ * Usage:
+ *   npm run migrate:water-volume             # convert
+ *   npm run migrate:water-volume -- --dry-run  # only count what would change
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+// Import required packages
+const mongoose = require('mongoose');
+const { countPendingDocuments, migrateWaterVolume } = require('../utils/waterVolumeMigration');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const results = dryRun ? await countPendingDocuments() : await migrateWaterVolume();
+
+  results.forEach(({ model, count }) => {
+    console.log(`${model}: ${count} ${dryRun ? 'to convert' : 'converted'}`);
+  });
+};
+
+run()
+  .catch(error => {
+    console.error('Water volume migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
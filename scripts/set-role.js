@@ -0,0 +1,46 @@
+/**
+ * scripts/set-role.js - Set a User's Role
+ *
+ * Creates the first admin (after that, admins can use PUT /api/admin/users/:id/role).
+ *
+ * Usage:
+ *   npm run set-role -- <email> <role>
+ *   npm run set-role -- support@example.com admin
+ */
+
+// Load environment variables from .env file
+require('dotenv').config();
+
+// Import required packages
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLE_NAMES } = require('../config/roles');
+
+const [email, role] = process.argv.slice(2);
+
+const run = async () => {
+  if (!email || !ROLE_NAMES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- <email> <${ROLE_NAMES.join('|')}>`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role },
+    { new: true, runValidators: true }
+  );
+
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  console.log(`${user.email} is now ${user.role}`);
+};
+
+run()
+  .catch(error => {
+    console.error('Set role error:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
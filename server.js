@@ -6,7 +6,11 @@
  */
 
 // Import the configured Express application
+const mongoose = require('mongoose');
 const app = require('./app');
+const { startDeletionJob } = require('./utils/accountDeletion');
+const { loadKeys } = require('./utils/fieldEncryption');
+const { countPendingDocuments } = require('./utils/waterVolumeMigration');
 
 // ======================
 // Server Configuration
@@ -19,10 +23,52 @@ const PORT = process.env.PORT || 5000;
 // Start Server
 // ======================
 
+// Refuse to start without valid field encryption keys
+try {
+  loadKeys();
+} catch (error) {
+  console.error('Field encryption configuration error:', error.message);
+  process.exit(1);
+}
+
+/**
+ * checkWaterMigration - Stop if water data is still counted in glasses
+ *
+ * Every read expects volumes, so the server would return wrong totals until
+ * `npm run migrate:water-volume` has run. Connection errors are left to
+ * app.js (the server still starts, as before).
+ */
+const checkWaterMigration = async () => {
+  try {
+    await mongoose.connection.asPromise();
+  } catch (error) {
+    return;
+  }
+
+  const pending = (await countPendingDocuments()).filter(({ count }) => count > 0);
+
+  if (pending.length > 0) {
+    console.error(
+      'Water data still counted in glasses:',
+      pending.map(({ model, count }) => `${model} ${count}`).join(', '),
+      '- run `npm run migrate:water-volume` first'
+    );
+    process.exit(1);
+  }
+};
+
 // Start listening on the specified port
 // The app is now ready to accept incoming HTTP requests
-// In your server.js or app.js
+checkWaterMigration()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+    });
+  })
+  .catch(error => {
+    console.error('Water migration check error:', error);
+    process.exit(1);
+  });
 
-app.listen(PORT, () => {
-  console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
-});
\ No newline at end of file
+// Permanently delete accounts whose deletion grace period is over
+startDeletionJob();
\ No newline at end of file
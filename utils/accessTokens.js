@@ -0,0 +1,124 @@
+/**
+ * utils/accessTokens.js - Personal Access Token Helpers
+ *
+ * Personal access tokens look like "bhp_<random>" so protect() can tell them
+ * apart from JWT access tokens. Only a hash is stored (models/AccessToken.js).
+ */
+
+// Import required packages
+const crypto = require('crypto');
+const AccessToken = require('../models/AccessToken');
+const { hashToken } = require('./tokens');
+
+// Every personal access token starts with this
+const TOKEN_PREFIX = 'bhp_';
+
+// Characters of the token kept in plaintext to identify it in lists
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 4;
+
+// Only write lastUsedAt once per minute to avoid a DB write on every request
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+// ======================
+// Token Helpers
+// ======================
+
+/**
+ * isAccessToken - Whether a bearer token is a personal access token
+ *
+ * @param {string} token - Bearer token from the Authorization header
+ * @returns {boolean}
+ */
+const isAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * createAccessToken - Create a personal access token for a user
+ *
+ * @param {string} userId - MongoDB user ID
+ * @param {Object} options
+ * @param {string} options.name - Label chosen by the user
+ * @param {string[]} options.scopes - Granted scopes
+ * @param {Date|null} [options.expiresAt] - Expiry (null for none)
+ * @returns {Promise<{ token: string, accessToken: Object }>} - Plaintext token
+ *          (shown to the user once) and the stored document
+ */
+const createAccessToken = async (userId, { name, scopes, expiresAt = null }) => {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const accessToken = await AccessToken.create({
+    user: userId,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    scopes: [...new Set(scopes)],
+    expiresAt
+  });
+
+  return { token, accessToken };
+};
+
+/**
+ * verifyAccessToken - Look up an active personal access token
+ *
+ * Also records when the token was last used.
+ *
+ * @param {string} token - Plaintext token
+ * @returns {Promise<Object|null>} - AccessToken document, or null if unknown,
+ *          revoked or expired
+ */
+const verifyAccessToken = async (token) => {
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!accessToken || !accessToken.isActive()) {
+    return null;
+  }
+
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() >= LAST_USED_THROTTLE_MS) {
+    accessToken.lastUsedAt = new Date();
+    await AccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: accessToken.lastUsedAt });
+  }
+
+  return accessToken;
+};
+
+/**
+ * revokeUserAccessTokens - Revoke every active token of a user
+ *
+ * Used wherever all sessions are revoked because the account may be
+ * compromised or is going away: tokens would otherwise keep working.
+ *
+ * @param {string} userId - MongoDB user ID
+ * @returns {Promise<number>} - Number of tokens revoked
+ */
+const revokeUserAccessTokens = async (userId) => {
+  const result = await AccessToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * formatAccessToken - Public view of a token for the API (never the hash)
+ *
+ * @param {Object} accessToken - AccessToken document
+ * @returns {Object}
+ */
+const formatAccessToken = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  prefix: accessToken.prefix,
+  scopes: accessToken.scopes,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  createdAt: accessToken.createdAt
+});
+
+// Export access token helpers
+module.exports = {
+  isAccessToken,
+  createAccessToken,
+  verifyAccessToken,
+  revokeUserAccessTokens,
+  formatAccessToken
+};
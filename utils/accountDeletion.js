@@ -0,0 +1,157 @@
+/**
+ * utils/accountDeletion.js - Account Deletion with Grace Period
+ *
+ * DELETE /api/user only schedules deletion. The account is signed out
+ * everywhere and permanently deleted after ACCOUNT_DELETION_GRACE_DAYS
+ * (default 30) unless the user signs in again before then.
+ *
+ * Permanent deletion cascades to every collection in USER_DATA. Any new
+ * collection that stores per-user data must be added there.
+ */
+
+// Import required packages
+const User = require('../models/User');
+const Water = require('../models/Water');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const AuthCode = require('../models/AuthCode');
+const SecurityEvent = require('../models/SecurityEvent');
+const AccessToken = require('../models/AccessToken');
+const HydrationGoal = require('../models/HydrationGoal');
+const HydrationAdjustment = require('../models/HydrationAdjustment');
+const Container = require('../models/Container');
+const { revokeUserSessions } = require('./sessions');
+const { revokeUserAccessTokens } = require('./accessTokens');
+const { getStore } = require('./rateLimitStore');
+const { deleteAvatarFiles } = require('./avatars');
+
+// ======================
+// Configuration
+// ======================
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// How often the purge job looks for accounts whose grace period is over
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * USER_DATA - Collections holding data tied to a user
+ *
+ * { model, field } pairs: documents where `field` equals the user ID
+ * are deleted together with the account.
+ */
+const USER_DATA = [
+  { model: Water, field: 'user' },
+  { model: Session, field: 'user' },
+  { model: RefreshToken, field: 'user' },
+  { model: AuthCode, field: 'user' },
+  { model: SecurityEvent, field: 'user' },
+  { model: AccessToken, field: 'user' },
+  { model: HydrationGoal, field: 'user' },
+  { model: HydrationAdjustment, field: 'user' },
+  { model: Container, field: 'user' }
+];
+
+// ======================
+// Scheduling
+// ======================
+
+/**
+ * scheduleDeletion - Mark the account for deletion and sign it out everywhere
+ * (personal access tokens included)
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<Date>} - When the account will be deleted
+ */
+const scheduleDeletion = async (user) => {
+  const deleteAt = new Date(Date.now() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  user.deletionScheduledAt = deleteAt;
+  await user.save();
+  await revokeUserSessions(user._id);
+  await revokeUserAccessTokens(user._id);
+
+  return deleteAt;
+};
+
+/**
+ * cancelDeletion - Keep the account (called when the user signs in again)
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} - True if a scheduled deletion was cancelled
+ */
+const cancelDeletion = async (user) => {
+  if (!user.deletionScheduledAt) return false;
+
+  user.deletionScheduledAt = null;
+  await User.updateOne({ _id: user._id }, { deletionScheduledAt: null });
+  return true;
+};
+
+// ======================
+// Permanent Deletion
+// ======================
+
+/**
+ * purgeUser - Permanently delete a user and all of their data
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const purgeUser = async (user) => {
+  for (const { model, field } of USER_DATA) {
+    await model.deleteMany({ [field]: user._id });
+  }
+
+  // Failed-login counters are keyed by email rather than user ID
+  await getStore().reset(`login:account:${user.email}`);
+
+  // Uploaded avatar files live outside the database
+  await deleteAvatarFiles(user.avatarKeys);
+
+  await User.deleteOne({ _id: user._id });
+  console.log('🗑️ Account permanently deleted:', user._id.toString());
+};
+
+/**
+ * purgeDueAccounts - Delete every account whose grace period is over
+ *
+ * @returns {Promise<number>} - Number of accounts deleted
+ */
+const purgeDueAccounts = async () => {
+  const users = await User.find({ deletionScheduledAt: { $ne: null, $lte: new Date() } });
+
+  for (const user of users) {
+    await purgeUser(user);
+  }
+
+  return users.length;
+};
+
+/**
+ * startDeletionJob - Run purgeDueAccounts periodically
+ *
+ * Called from server.js. With several instances running, each one purges;
+ * deletes are idempotent so this is safe.
+ */
+const startDeletionJob = () => {
+  const run = () => purgeDueAccounts().catch(error => {
+    console.error('Account purge error:', error);
+  });
+
+  const timer = setInterval(run, PURGE_INTERVAL_MS);
+  // Do not keep the process alive just for this job
+  timer.unref();
+  run();
+};
+
+// Export account deletion helpers
+module.exports = {
+  USER_DATA,
+  GRACE_DAYS,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeUser,
+  purgeDueAccounts,
+  startDeletionJob
+};
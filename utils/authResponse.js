@@ -0,0 +1,139 @@
+/**
+ * utils/authResponse.js - Login Response Helpers
+ *
+ * Every endpoint that signs a user in (register, login, Google, 2FA) sends
+ * the same response shape. These helpers build it in one place, and refuse
+ * accounts an admin has disabled or asked to reset their password.
+ */
+
+// Import token helpers
+const { issueAuthTokens, generateTwoFactorChallengeToken } = require('./tokens');
+const { cancelDeletion } = require('./accountDeletion');
+const { recordSecurityEvent } = require('./securityEvents');
+const { serializeUser } = require('./serializers');
+
+// ======================
+// Response Helpers
+// ======================
+
+/**
+ * sendAccountDisabled - Refuse sign-in for a disabled account
+ *
+ * @param {Object} res - Express response object
+ */
+const sendAccountDisabled = (res) => {
+  res.status(403).json({
+    success: false,
+    code: 'ACCOUNT_DISABLED',
+    message: 'This account has been disabled. Please contact support.'
+  });
+};
+
+/**
+ * sendPasswordResetRequired - Refuse sign-in until the user resets their
+ * password (an admin forced a reset and emailed a link)
+ *
+ * @param {Object} res - Express response object
+ */
+const sendPasswordResetRequired = (res) => {
+  res.status(403).json({
+    success: false,
+    code: 'PASSWORD_RESET_REQUIRED',
+    message: 'Please reset your password using the link we emailed you'
+  });
+};
+
+/**
+ * sendAuthResponse - Start a session and send tokens with basic user data
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   token: short-lived JWT access token,
+ *   refreshToken: opaque refresh token,
+ *   sessionId: string,
+ *   user: the user's own profile (see utils/serializers.js),
+ *   deletionCancelled: true (only if a scheduled account deletion was cancelled)
+ * }
+ *
+ * Signing in during the account deletion grace period cancels the deletion.
+ * Every sign-in is recorded in the security audit log.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated User document
+ * @param {Object} [options]
+ * @param {number} [options.statusCode=200] - HTTP status code
+ * @param {string} [options.method] - Sign-in method for the audit log (e.g. 'password', 'google')
+ */
+const sendAuthResponse = async (req, res, user, { statusCode = 200, method = null } = {}) => {
+  if (user.isDisabled()) {
+    return sendAccountDisabled(res);
+  }
+
+  if (user.passwordResetRequired) {
+    return sendPasswordResetRequired(res);
+  }
+
+  // Generate access + refresh tokens
+  const tokens = await issueAuthTokens(user._id, req);
+  const deletionCancelled = await cancelDeletion(user);
+
+  await recordSecurityEvent(req, 'login.success', {
+    user,
+    metadata: { method, sessionId: tokens.sessionId }
+  });
+
+  if (deletionCancelled) {
+    await recordSecurityEvent(req, 'account.deletion_cancelled', { user });
+  }
+
+  res.status(statusCode).json({
+    success: true,
+    ...tokens,
+    user: serializeUser(user, 'self'),
+    ...(deletionCancelled && { deletionCancelled })
+  });
+};
+
+/**
+ * sendLoginResponse - Finish a first-factor login
+ *
+ * If the user has 2FA enabled no tokens are issued; instead a short-lived
+ * challenge token is returned, to be sent to POST /api/auth/2fa/verify
+ * together with a code.
+ *
+ * 2FA response:
+ * {
+ *   success: true,
+ *   twoFactorRequired: true,
+ *   challengeToken: string
+ * }
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User document whose first factor was verified
+ * @param {string} method - First-factor sign-in method (for the audit log)
+ */
+const sendLoginResponse = async (req, res, user, method) => {
+  if (user.isDisabled()) {
+    return sendAccountDisabled(res);
+  }
+
+  if (user.passwordResetRequired) {
+    return sendPasswordResetRequired(res);
+  }
+
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallengeToken(user._id, method)
+    });
+  }
+
+  return sendAuthResponse(req, res, user, { method });
+};
+
+// Export response helpers
+module.exports = { sendAuthResponse, sendLoginResponse, sendAccountDisabled, sendPasswordResetRequired };
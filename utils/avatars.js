@@ -0,0 +1,172 @@
+/**
+ * utils/avatars.js - Avatar Image Processing
+ *
+ * Uploaded pictures are never stored as sent. Each upload is decoded,
+ * rotated according to its EXIF orientation, cropped to a square and
+ * re-encoded as WebP in every size in AVATAR_SIZES. Re-encoding drops all
+ * metadata (EXIF, GPS location, camera details).
+ *
+ * Files go through the storage adapter (utils/storage.js). The user keeps
+ * the storage keys in avatarKeys so old files can be removed when the
+ * avatar is replaced or the account is deleted.
+ */
+
+// Import required packages
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+// ======================
+// Configuration
+// ======================
+
+// Square sizes generated for every upload (pixels)
+const AVATAR_SIZES = { small: 128, large: 512 };
+
+// Formats accepted from clients (checked on the decoded image, not the header)
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif'];
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+
+// Largest upload accepted (AVATAR_MAX_BYTES, default 5 MB)
+const MAX_BYTES = parseInt(process.env.AVATAR_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+// Refuse "decompression bombs": tiny files that decode to huge images
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// ======================
+// Processing
+// ======================
+
+/**
+ * createThumbnails - Decode an upload and render every avatar size
+ *
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<{ thumbnails?: Object, error?: string }>} - thumbnails is
+ *          { small: Buffer, large: Buffer }; error if the file is not an allowed image
+ */
+const createThumbnails = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    return { error: 'File is not a valid image' };
+  }
+
+  // sharp reports AVIF as HEIF with AV1 compression
+  const format = metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format;
+
+  if (!ALLOWED_FORMATS.includes(format)) {
+    return { error: `Image must be one of: ${ALLOWED_FORMATS.join(', ')}` };
+  }
+
+  const thumbnails = {};
+
+  for (const [name, size] of Object.entries(AVATAR_SIZES)) {
+    // rotate() applies the EXIF orientation; output has no metadata
+    thumbnails[name] = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated: false })
+      .rotate()
+      .resize(size, size, { fit: 'cover', position: 'attention' })
+      .webp({ quality: 85 })
+      .toBuffer();
+  }
+
+  return { thumbnails };
+};
+
+// ======================
+// Storage
+// ======================
+
+/**
+ * saveAvatar - Process and store a new avatar for a user
+ *
+ * Sets avatar (large URL), avatarThumbnails and avatarKeys on the user; the
+ * caller saves the user and then removes the previous files with
+ * deleteAvatarFiles(previousKeys).
+ *
+ * Usage:
+ *   const { previousKeys, error } = await saveAvatar(user, req.file.buffer);
+ *   if (error) return res.status(400).json({ success: false, message: error });
+ *
+ * @param {Object} user - User document
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<{ previousKeys?: string[], error?: string }>} - Storage keys
+ *          of the previous avatar, or an error if the file is not an allowed image
+ */
+const saveAvatar = async (user, buffer) => {
+  const storage = getStorage();
+  const { thumbnails, error } = await createThumbnails(buffer);
+
+  if (error) {
+    return { error };
+  }
+
+  const uploadId = crypto.randomBytes(8).toString('hex');
+
+  const keys = [];
+  const urls = {};
+
+  for (const [name, image] of Object.entries(thumbnails)) {
+    const key = `avatars/${user._id}/${uploadId}-${AVATAR_SIZES[name]}.webp`;
+    await storage.put(key, image, 'image/webp');
+    keys.push(key);
+    urls[name] = storage.getUrl(key);
+  }
+
+  const previousKeys = [...(user.avatarKeys || [])];
+
+  user.avatar = urls.large;
+  user.avatarThumbnails = urls;
+  user.avatarKeys = keys;
+
+  return { previousKeys };
+};
+
+/**
+ * clearAvatar - Forget the uploaded avatar files of a user
+ *
+ * Does not touch `avatar` itself (the caller sets or clears it). The caller
+ * saves the user and then calls deleteAvatarFiles(previousKeys).
+ *
+ * @param {Object} user - User document
+ * @returns {string[]} - Storage keys of the removed avatar
+ */
+const clearAvatar = (user) => {
+  const previousKeys = [...(user.avatarKeys || [])];
+
+  user.avatarThumbnails = undefined;
+  user.avatarKeys = [];
+
+  return previousKeys;
+};
+
+/**
+ * deleteAvatarFiles - Delete stored avatar files
+ *
+ * Never throws: a leftover file must not fail the request, so errors
+ * are only logged.
+ *
+ * @param {string[]} keys - Storage keys
+ * @returns {Promise<void>}
+ */
+const deleteAvatarFiles = async (keys) => {
+  const storage = getStorage();
+
+  for (const key of keys || []) {
+    try {
+      await storage.delete(key);
+    } catch (error) {
+      console.error('Avatar cleanup error:', key, error);
+    }
+  }
+};
+
+// Export avatar helpers
+module.exports = {
+  AVATAR_SIZES,
+  ALLOWED_MIME_TYPES,
+  MAX_BYTES,
+  saveAvatar,
+  clearAvatar,
+  deleteAvatarFiles
+};
@@ -0,0 +1,184 @@
+/**
+ * utils/bruteForce.js - Failed Attempt Tracking & Account Lockout
+ *
+ * This file tracks failed login (and 2FA / reset token) attempts per client IP
+ * and per account. After a few free attempts each further failure adds an
+ * exponentially growing delay; after ACCOUNT_LOCKOUT_THRESHOLD failures the
+ * account is locked for ACCOUNT_LOCKOUT_MINUTES and the owner is emailed
+ * (disable with LOCKOUT_EMAIL=false).
+ *
+ * Counters are kept in the store from utils/rateLimitStore.js.
+ */
+
+// Import required packages
+const { getStore } = require('./rateLimitStore');
+const { sendAccountLockedEmail } = require('./emailSender');
+const { recordSecurityEvent } = require('./securityEvents');
+
+// ======================
+// Policies
+// ======================
+
+const MINUTE = 60 * 1000;
+
+// Failures per client IP (high, since many users can share one IP)
+const IP_POLICY = {
+  freeAttempts: 20,
+  baseDelayMs: 1000,
+  maxDelayMs: 15 * MINUTE,
+  windowMs: 60 * MINUTE
+};
+
+// Failures per account
+const ACCOUNT_POLICY = {
+  freeAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 5 * MINUTE,
+  windowMs: 24 * 60 * MINUTE,
+  lockoutThreshold: parseInt(process.env.ACCOUNT_LOCKOUT_THRESHOLD, 10) || 10,
+  lockoutMs: (parseInt(process.env.ACCOUNT_LOCKOUT_MINUTES, 10) || 15) * MINUTE
+};
+
+// ======================
+// Generic Helpers
+// ======================
+
+/**
+ * getRetryAfter - Seconds until all of the given keys are unblocked
+ *
+ * @param {string[]} keys - Counter keys
+ * @returns {Promise<number>} - 0 if none of the keys is blocked
+ */
+const getRetryAfter = async (keys) => {
+  const store = getStore();
+  let retryAfter = 0;
+
+  for (const key of keys) {
+    const record = await store.get(key);
+
+    if (record && record.blockedUntil && record.blockedUntil > new Date()) {
+      const seconds = Math.ceil((record.blockedUntil.getTime() - Date.now()) / 1000);
+      retryAfter = Math.max(retryAfter, seconds);
+    }
+  }
+
+  return retryAfter;
+};
+
+/**
+ * registerFailure - Count a failed attempt and block the key if needed
+ *
+ * Delay after the free attempts: baseDelay * 2^(failures beyond free - 1),
+ * capped at maxDelay. Reaching the lockout threshold blocks for lockoutMs.
+ *
+ * @param {string} key - Counter key
+ * @param {Object} policy - One of the policies above
+ * @returns {Promise<{count: number, lockedOut: boolean}>} - lockedOut is true
+ *          only for the failure that reached the lockout threshold
+ */
+const registerFailure = async (key, policy) => {
+  const store = getStore();
+  const record = await store.increment(key, policy.windowMs);
+  const extra = record.count - policy.freeAttempts;
+
+  if (policy.lockoutThreshold && record.count >= policy.lockoutThreshold) {
+    await store.block(key, new Date(Date.now() + policy.lockoutMs));
+    return { count: record.count, lockedOut: record.count === policy.lockoutThreshold };
+  }
+
+  if (extra > 0) {
+    const delay = Math.min(policy.baseDelayMs * 2 ** (extra - 1), policy.maxDelayMs);
+    await store.block(key, new Date(Date.now() + delay));
+  }
+
+  return { count: record.count, lockedOut: false };
+};
+
+// ======================
+// Login Helpers
+// ======================
+
+const loginKeys = (req, identifier) => ({
+  ip: `login:ip:${req.ip}`,
+  account: `login:account:${String(identifier || '').toLowerCase()}`
+});
+
+/**
+ * checkLoginAllowed - Seconds the client must wait before trying to log in
+ *
+ * @param {Object} req - Express request object
+ * @param {string} identifier - Account identifier (email address)
+ * @returns {Promise<number>} - 0 if the attempt may go ahead
+ */
+const checkLoginAllowed = async (req, identifier) => {
+  const keys = loginKeys(req, identifier);
+  return getRetryAfter([keys.ip, keys.account]);
+};
+
+/**
+ * recordLoginFailure - Count a failed login for the IP and the account
+ *
+ * Counts failures for unknown emails too, so lockout behaviour does not
+ * reveal whether an account exists. The lockout email is only sent when
+ * the account exists.
+ *
+ * Every failure is recorded in the security audit log as login.failure,
+ * with the route it happened on (login, 2FA, change password, ...).
+ *
+ * @param {Object} req - Express request object
+ * @param {string} identifier - Account identifier (email address)
+ * @param {Object|null} user - User document, if the account exists
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (req, identifier, user) => {
+  const keys = loginKeys(req, identifier);
+
+  await registerFailure(keys.ip, IP_POLICY);
+  const { lockedOut } = await registerFailure(keys.account, ACCOUNT_POLICY);
+
+  await recordSecurityEvent(req, 'login.failure', {
+    user,
+    email: String(identifier || '').toLowerCase(),
+    metadata: { route: req.baseUrl + req.path }
+  });
+
+  if (lockedOut) {
+    console.warn('🔒 Account locked after repeated failed logins:', identifier);
+    await recordSecurityEvent(req, 'account.locked', {
+      user,
+      email: String(identifier || '').toLowerCase(),
+      metadata: { lockoutMinutes: ACCOUNT_POLICY.lockoutMs / 60000 }
+    });
+
+    if (user && process.env.LOCKOUT_EMAIL !== 'false') {
+      const unlockAt = new Date(Date.now() + ACCOUNT_POLICY.lockoutMs);
+      // Not awaited: the response should not wait for SMTP
+      sendAccountLockedEmail(user.email, unlockAt);
+    }
+  }
+};
+
+/**
+ * recordLoginSuccess - Clear the account's failure counter after a good login
+ *
+ * The IP counter is left alone so one valid account cannot be used to
+ * reset an attacker's counter while guessing other accounts.
+ *
+ * @param {Object} req - Express request object
+ * @param {string} identifier - Account identifier (email address)
+ * @returns {Promise<void>}
+ */
+const recordLoginSuccess = async (req, identifier) => {
+  await getStore().reset(loginKeys(req, identifier).account);
+};
+
+// Export brute-force helpers
+module.exports = {
+  IP_POLICY,
+  ACCOUNT_POLICY,
+  getRetryAfter,
+  registerFailure,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+};
@@ -1,5 +1,30 @@
 const nodemailer = require('nodemailer');
 
+/**
+ * Create the SMTP transporter from environment configuration
+ * @returns {Object} - Nodemailer transporter
+ */
+const createTransporter = () => {
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: true, // true for 465, false for other ports
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+    tls: {
+      rejectUnauthorized: false // For self-signed certificates in development
+    }
+  });
+};
+
+/**
+ * Base URL links in emails point to
+ * @returns {string}
+ */
+const getBaseUrl = () => process.env.CLIENT_URL || 'http://localhost:5000';
+
 /**
  * Send password reset email
  * @param {string} to - Recipient email
@@ -9,21 +34,10 @@ const nodemailer = require('nodemailer');
 const sendResetEmail = async (to, resetToken) => {
   try {
     // Create transporter
-    const transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: true, // true for 465, false for other ports
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-      tls: {
-        rejectUnauthorized: false // For self-signed certificates in development
-      }
-    });
+    const transporter = createTransporter();
 
     // Reset URL (pointing to your password reset web page)
-    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:5000'}/reset-password.html?token=${resetToken}`;
+    const resetUrl = `${getBaseUrl()}/reset-password.html?token=${resetToken}`;
 
     // Email content
     const mailOptions = {
@@ -83,20 +97,408 @@ const sendResetEmail = async (to, resetToken) => {
   }
 };
 
+/**
+ * Send email address verification email
+ * @param {string} to - Recipient email
+ * @param {string} verificationToken - Signed email verification token
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendVerificationEmail = async (to, verificationToken) => {
+  try {
+    const transporter = createTransporter();
+
+    // Verification URL (handled by GET /api/auth/verify-email/:token)
+    const verifyUrl = `${getBaseUrl()}/api/auth/verify-email/${verificationToken}`;
+
+    const mailOptions = {
+      from:`${process.env.EMAIL_USER}`,
+      to: to,
+      subject: 'Verify Your Email Address',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0;">✉️ Verify Your Email</h1>
+          </div>
+          
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              Thanks for signing up! Please confirm your email address by clicking the button below:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${verifyUrl}" style="background: #667eea; color: white; padding: 14px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Verify Email
+              </a>
+            </div>
+            
+            <p style="color: #777; font-size: 14px; line-height: 1.6;">
+              If the button doesn't work, copy and paste this link into your browser:
+            </p>
+            
+            <div style="background: #f0f0f0; padding: 15px; border-radius: 5px; margin: 20px 0; word-break: break-all;">
+              <code style="color: #333;">${verifyUrl}</code>
+            </div>
+            
+            <p style="color: #777; font-size: 14px; line-height: 1.6;">
+              This link will expire in <strong>24 hours</strong>.<br>
+              If you didn't create an account, please ignore this email.
+            </p>
+            
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            
+            <p style="color: #999; font-size: 12px; text-align: center;">
+              This is an automated message, please do not reply.<br>
+              &copy; ${new Date().getFullYear()} Your App Name. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `,
+      text: `Verify Your Email Address\n\nThanks for signing up! Use this link to verify your email address:\n\n${verifyUrl}\n\nThis link expires in 24 hours.\n\nIf you didn't create an account, please ignore this email.`
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('📧 Verification email sent:', info.messageId);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Email send error:', error);
+    return false;
+  }
+};
+
+/**
+ * Send passwordless sign-in email with a link and a 6-digit code
+ * @param {string} to - Recipient email
+ * @param {string} magicToken - Single-use sign-in token
+ * @param {string} code - Single-use 6-digit code
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendMagicLinkEmail = async (to, magicToken, code) => {
+  try {
+    const transporter = createTransporter();
+
+    // Sign-in URL: MAGIC_LINK_URL should be the app's deep link; without it
+    // the link opens public/magic-link.html, which points the user to the code
+    const magicUrl = `${process.env.MAGIC_LINK_URL || `${getBaseUrl()}/magic-link.html`}?token=${magicToken}`;
+
+    const mailOptions = {
+      from:`${process.env.EMAIL_USER}`,
+      to: to,
+      subject: 'Your Sign-In Link',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0;">🔑 Sign In</h1>
+          </div>
+          
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              Tap the button below on your phone to sign in:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${magicUrl}" style="background: #667eea; color: white; padding: 14px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Sign In
+              </a>
+            </div>
+            
+            <p style="color: #777; font-size: 14px; line-height: 1.6;">
+              Or enter this code in the app:
+            </p>
+            
+            <div style="background: #f0f0f0; padding: 15px; border-radius: 5px; margin: 20px 0; text-align: center;">
+              <code style="color: #333; font-size: 28px; letter-spacing: 6px;">${code}</code>
+            </div>
+            
+            <p style="color: #777; font-size: 14px; line-height: 1.6;">
+              This link and code will expire in <strong>15 minutes</strong> and can only be used once.<br>
+              If you didn't try to sign in, please ignore this email.
+            </p>
+            
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            
+            <p style="color: #999; font-size: 12px; text-align: center;">
+              This is an automated message, please do not reply.<br>
+              &copy; ${new Date().getFullYear()} Your App Name. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `,
+      text: `Sign In\n\nUse this link to sign in:\n\n${magicUrl}\n\nOr enter this code in the app: ${code}\n\nThe link and code expire in 15 minutes and can only be used once.\n\nIf you didn't try to sign in, please ignore this email.`
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('📧 Magic link email sent:', info.messageId);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Email send error:', error);
+    return false;
+  }
+};
+
+/**
+ * Send account locked notification email
+ * @param {string} to - Recipient email
+ * @param {Date} unlockAt - When the lockout ends
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendAccountLockedEmail = async (to, unlockAt) => {
+  try {
+    const transporter = createTransporter();
+
+    const unlockTime = unlockAt.toUTCString();
+
+    const mailOptions = {
+      from:`${process.env.EMAIL_USER}`,
+      to: to,
+      subject: 'Your Account Has Been Temporarily Locked',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0;">⚠️ Account Locked</h1>
+          </div>
+          
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              We noticed several failed sign-in attempts on your account, so we have temporarily locked it to keep it safe.
+            </p>
+            
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              You can try signing in again after <strong>${unlockTime}</strong>.
+            </p>
+            
+            <p style="color: #777; font-size: 14px; line-height: 1.6;">
+              If this wasn't you, someone may be trying to guess your password.
+              We recommend resetting your password and enabling two-factor authentication.
+            </p>
+            
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            
+            <p style="color: #999; font-size: 12px; text-align: center;">
+              This is an automated message, please do not reply.<br>
+              &copy; ${new Date().getFullYear()} Your App Name. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `,
+      text: `Account Locked\n\nWe noticed several failed sign-in attempts on your account, so we have temporarily locked it.\n\nYou can try signing in again after ${unlockTime}.\n\nIf this wasn't you, we recommend resetting your password and enabling two-factor authentication.`
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('📧 Account locked email sent:', info.messageId);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Email send error:', error);
+    return false;
+  }
+};
+
+/**
+ * Send account deletion confirmation email
+ * @param {string} to - Recipient email
+ * @param {Date} deleteAt - When the account will be permanently deleted
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendAccountDeletionEmail = async (to, deleteAt) => {
+  try {
+    const transporter = createTransporter();
+
+    const deleteTime = deleteAt.toUTCString();
+
+    const mailOptions = {
+      from:`${process.env.EMAIL_USER}`,
+      to: to,
+      subject: 'Your Account Is Scheduled for Deletion',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0;">🗑️ Account Deletion</h1>
+          </div>
+          
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              We received a request to delete your account. You have been signed out on all devices and your personal access tokens have been revoked.
+            </p>
+            
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              Your account and all of its data will be permanently deleted on <strong>${deleteTime}</strong>.
+            </p>
+            
+            <p style="color: #777; font-size: 14px; line-height: 1.6;">
+              Changed your mind? Simply sign in again before then and the deletion will be cancelled.
+              If you didn't request this, sign in and change your password right away.
+            </p>
+            
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            
+            <p style="color: #999; font-size: 12px; text-align: center;">
+              This is an automated message, please do not reply.<br>
+              &copy; ${new Date().getFullYear()} Your App Name. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `,
+      text: `Account Deletion\n\nWe received a request to delete your account. You have been signed out on all devices and your personal access tokens have been revoked.\n\nYour account and all of its data will be permanently deleted on ${deleteTime}.\n\nChanged your mind? Sign in again before then and the deletion will be cancelled.`
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('📧 Account deletion email sent:', info.messageId);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Email send error:', error);
+    return false;
+  }
+};
+
+/**
+ * Send the confirmation link for a new email address
+ * @param {string} to - The new email address
+ * @param {string} confirmToken - Single-use confirmation token
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendEmailChangeConfirmEmail = async (to, confirmToken) => {
+  try {
+    const transporter = createTransporter();
+
+    // Confirmation URL (handled by GET /api/user/email-change/confirm/:token)
+    const confirmUrl = `${getBaseUrl()}/api/user/email-change/confirm/${confirmToken}`;
+
+    const mailOptions = {
+      from:`${process.env.EMAIL_USER}`,
+      to: to,
+      subject: 'Confirm Your New Email Address',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0;">✉️ Confirm New Email</h1>
+          </div>
+          
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              You asked to use this address for your account. Click the button below to confirm the change:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${confirmUrl}" style="background: #667eea; color: white; padding: 14px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Confirm Email
+              </a>
+            </div>
+            
+            <p style="color: #777; font-size: 14px; line-height: 1.6;">
+              If the button doesn't work, copy and paste this link into your browser:
+            </p>
+            
+            <div style="background: #f0f0f0; padding: 15px; border-radius: 5px; margin: 20px 0; word-break: break-all;">
+              <code style="color: #333;">${confirmUrl}</code>
+            </div>
+            
+            <p style="color: #777; font-size: 14px; line-height: 1.6;">
+              This link will expire in <strong>24 hours</strong>.<br>
+              If you didn't request this, please ignore this email.
+            </p>
+            
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            
+            <p style="color: #999; font-size: 12px; text-align: center;">
+              This is an automated message, please do not reply.<br>
+              &copy; ${new Date().getFullYear()} Your App Name. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `,
+      text: `Confirm Your New Email Address\n\nYou asked to use this address for your account. Use this link to confirm the change:\n\n${confirmUrl}\n\nThis link expires in 24 hours.\n\nIf you didn't request this, please ignore this email.`
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('📧 Email change confirmation sent:', info.messageId);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Email send error:', error);
+    return false;
+  }
+};
+
+/**
+ * Tell the current address that an email change was requested
+ * @param {string} to - The current email address
+ * @param {string} newEmail - The requested new address
+ * @param {string} cancelToken - Token for the cancel link
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendEmailChangeNoticeEmail = async (to, newEmail, cancelToken) => {
+  try {
+    const transporter = createTransporter();
+
+    // Cancel URL (handled by GET /api/user/email-change/cancel/:token)
+    const cancelUrl = `${getBaseUrl()}/api/user/email-change/cancel/${cancelToken}`;
+
+    const mailOptions = {
+      from:`${process.env.EMAIL_USER}`,
+      to: to,
+      subject: 'Your Email Address Is Being Changed',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0;">⚠️ Email Change Requested</h1>
+          </div>
+          
+          <div style="background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px;">
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              Someone asked to change the email address of your account to <strong>${newEmail}</strong>.
+              The change happens once the new address is confirmed.
+            </p>
+            
+            <p style="color: #555; font-size: 16px; line-height: 1.6;">
+              If this wasn't you, cancel the change right away. The link also undoes the change
+              if it has already happened and works for <strong>7 days</strong>:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${cancelUrl}" style="background: #667eea; color: white; padding: 14px 30px; text-decoration: none; border-radius: 5px; font-weight: bold; display: inline-block;">
+                Cancel Email Change
+              </a>
+            </div>
+            
+            <div style="background: #f0f0f0; padding: 15px; border-radius: 5px; margin: 20px 0; word-break: break-all;">
+              <code style="color: #333;">${cancelUrl}</code>
+            </div>
+            
+            <p style="color: #777; font-size: 14px; line-height: 1.6;">
+              If you made this change, you can ignore this email.
+            </p>
+            
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            
+            <p style="color: #999; font-size: 12px; text-align: center;">
+              This is an automated message, please do not reply.<br>
+              &copy; ${new Date().getFullYear()} Your App Name. All rights reserved.
+            </p>
+          </div>
+        </div>
+      `,
+      text: `Email Change Requested\n\nSomeone asked to change the email address of your account to ${newEmail}. The change happens once the new address is confirmed.\n\nIf this wasn't you, cancel it here (also undoes a completed change, valid for 7 days):\n\n${cancelUrl}\n\nIf you made this change, you can ignore this email.`
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('📧 Email change notice sent:', info.messageId);
+    return true;
+    
+  } catch (error) {
+    console.error('❌ Email send error:', error);
+    return false;
+  }
+};
+
 /**
  * Test email configuration
  */
 const testEmailConfig = async () => {
   try {
-    const transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: true,
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
+    const transporter = createTransporter();
 
     // Verify connection
     await transporter.verify();
@@ -108,4 +510,13 @@ const testEmailConfig = async () => {
   }
 };
 
-module.exports = { sendResetEmail, testEmailConfig };
\ No newline at end of file
+module.exports = {
+  sendResetEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+  sendAccountLockedEmail,
+  sendAccountDeletionEmail,
+  sendEmailChangeConfirmEmail,
+  sendEmailChangeNoticeEmail,
+  testEmailConfig
+};
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * utils/fieldEncryption.js - Field-Level Encryption
+ *
+ * Secrets that must be readable again (OAuth provider tokens, TOTP seeds)
+ * are stored encrypted with AES-256-GCM instead of in plaintext, so a
+ * database dump does not leak them. Fields declared with encryptedString()
+ * are encrypted when set and decrypted when read, so the rest of the code
+ * uses them like normal strings.
+ *
+ * Keys (environment):
+ * - FIELD_ENCRYPTION_KEYS: comma separated "<keyId>:<base64 32-byte key>" pairs
+ * - FIELD_ENCRYPTION_KEY_ID: key used for new values (default: the first one)
+ *
+ * Every value records the ID of the key it was encrypted with, so keys can be
+ * rotated: add a new key, make it current, run `npm run migrate:encrypt-fields`
+ * to re-encrypt existing values, then remove the old key.
+ *
+ * Stored format: enc:<keyId>:<iv>:<auth tag>:<ciphertext> (base64url parts)
+ *
+ * Note: values are encrypted with a random IV, so encrypted fields cannot be
+ * used in query filters.
+ */
+
+// Import required packages
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc';
+const IV_LENGTH = 12;
+
+// ======================
+// Key Management
+// ======================
+
+let keyring = null;
+
+/**
+ * loadKeys - Parse the encryption keys from the environment (once)
+ *
+ * Called at startup (server.js) so a missing or malformed key stops the
+ * server instead of failing the first request that touches a secret.
+ *
+ * @returns {{ currentKeyId: string, keys: Map<string, Buffer> }}
+ */
+const loadKeys = () => {
+  if (keyring) return keyring;
+
+  const keys = new Map();
+
+  (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(keyId)) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must look like "<keyId>:<base64 key>"');
+    }
+    if (key.length !== 32) {
+      throw new Error(`Field encryption key "${keyId}" must be 32 bytes (base64 encoded)`);
+    }
+
+    keys.set(keyId, key);
+  });
+
+  if (keys.size === 0) {
+    throw new Error('FIELD_ENCRYPTION_KEYS is not set');
+  }
+
+  const currentKeyId = process.env.FIELD_ENCRYPTION_KEY_ID || keys.keys().next().value;
+
+  if (!keys.has(currentKeyId)) {
+    throw new Error(`FIELD_ENCRYPTION_KEY_ID "${currentKeyId}" is not in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  keyring = { currentKeyId, keys };
+  return keyring;
+};
+
+// ======================
+// Encrypt & Decrypt
+// ======================
+
+/**
+ * isEncrypted - Whether a stored value is in the encrypted format
+ *
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+/**
+ * getKeyId - ID of the key a stored value was encrypted with
+ *
+ * @param {string} value - Encrypted value
+ * @returns {string|null}
+ */
+const getKeyId = (value) => (isEncrypted(value) ? value.split(':')[1] : null);
+
+/**
+ * encrypt - Encrypt a string with the current key
+ *
+ * Empty values and values that are already encrypted are returned unchanged.
+ *
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} - Encrypted value
+ */
+const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined || plaintext === '' || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  const { currentKeyId, keys } = loadKeys();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(currentKeyId), iv);
+
+  // Bind the ciphertext to its key ID so the ID cannot be swapped
+  cipher.setAAD(Buffer.from(currentKeyId));
+
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [
+    PREFIX,
+    currentKeyId,
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join(':');
+};
+
+/**
+ * decrypt - Decrypt a value produced by encrypt()
+ *
+ * Values that are not encrypted (written before encryption was enabled and
+ * not migrated yet) are returned unchanged.
+ *
+ * @param {string} value - Stored value
+ * @returns {string} - Plaintext
+ * @throws {Error} - If the key is unknown or the value was tampered with
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [, keyId, iv, tag, ciphertext] = value.split(':');
+  const key = loadKeys().keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Unknown field encryption key "${keyId}"`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(keyId));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+/**
+ * needsReencryption - Whether a stored value is plaintext or uses an old key
+ *
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+const needsReencryption = (value) => {
+  if (value === null || value === undefined || value === '') return false;
+  return getKeyId(value) !== loadKeys().currentKeyId;
+};
+
+// ======================
+// Schema Helper
+// ======================
+
+/**
+ * encryptedString - Schema type for a string stored encrypted
+ *
+ * Usage:
+ *   accessToken: encryptedString(),
+ *   twoFactorSecret: encryptedString({ select: false })
+ *
+ * The `encrypted: true` option lets the migration script find these paths.
+ *
+ * @param {Object} [options] - Extra schema type options
+ * @returns {Object} - Mongoose schema type definition
+ */
+const encryptedString = (options = {}) => ({
+  type: String,
+  ...options,
+  encrypted: true,
+  set: encrypt,
+  get: decrypt
+});
+
+// Export field encryption helpers
+module.exports = {
+  loadKeys,
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsReencryption,
+  encryptedString
+};
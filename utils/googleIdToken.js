@@ -0,0 +1,172 @@
+/**
+ * utils/googleIdToken.js - Google ID Token Verification
+ *
+ * This file verifies Google ID tokens (JWTs) sent by the mobile app after
+ * Google Sign-In. Tokens are checked against Google's published signing keys,
+ * so the server never has to trust user info posted by the client.
+ *
+ * Configuration (environment variables):
+ * - GOOGLE_JWKS_URI: where the signing keys come from. Either an http(s) URL
+ *   (default: Google's certs endpoint) or a path to a local JWKS JSON file,
+ *   so tests can use their own keys or a stub server.
+ * - GOOGLE_ID_TOKEN_AUDIENCES: comma separated OAuth client IDs accepted as
+ *   token audience (iOS, Android and web client IDs). Defaults to GOOGLE_CLIENT_ID.
+ */
+
+// Import required packages
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const jwt = require('jsonwebtoken');
+
+// ======================
+// Configuration
+// ======================
+
+const DEFAULT_JWKS_URI = 'https://www.googleapis.com/oauth2/v3/certs';
+
+// Issuers Google uses for ID tokens
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// Keys are cached for this long if the key source does not say otherwise
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+
+// Minimum delay between refetches triggered by an unknown key ID
+const REFETCH_COOLDOWN_MS = 30 * 1000;
+
+const getJwksUri = () => process.env.GOOGLE_JWKS_URI || DEFAULT_JWKS_URI;
+
+const getAudiences = () => {
+  const audiences = process.env.GOOGLE_ID_TOKEN_AUDIENCES || process.env.GOOGLE_CLIENT_ID || '';
+  return audiences.split(',').map(a => a.trim()).filter(Boolean);
+};
+
+// ======================
+// Signing Key Cache
+// ======================
+
+// { uri, keys: Map<kid, KeyObject>, expiresAt, fetchedAt }
+let keyCache = null;
+
+/**
+ * loadJwks - Read the JWKS from a URL or a local file
+ *
+ * @param {string} uri - http(s) URL, file:// URL or file path
+ * @returns {Promise<{jwks: Object, maxAgeMs: number}>}
+ */
+const loadJwks = async (uri) => {
+  if (/^https?:\/\//.test(uri)) {
+    const response = await fetch(uri);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Google signing keys (HTTP ${response.status})`);
+    }
+
+    // Respect Cache-Control: max-age=N sent by Google
+    const cacheControl = response.headers.get('cache-control') || '';
+    const maxAge = /max-age=(\d+)/.exec(cacheControl);
+
+    return {
+      jwks: await response.json(),
+      maxAgeMs: maxAge ? parseInt(maxAge[1], 10) * 1000 : DEFAULT_CACHE_MS
+    };
+  }
+
+  const path = uri.startsWith('file://') ? new URL(uri) : uri;
+  return {
+    jwks: JSON.parse(await fs.readFile(path, 'utf8')),
+    maxAgeMs: DEFAULT_CACHE_MS
+  };
+};
+
+/**
+ * getSigningKey - Find the public key for a key ID, refreshing the cache if needed
+ *
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject|null>} - Public key, or null if unknown
+ */
+const getSigningKey = async (kid) => {
+  const uri = getJwksUri();
+  const now = Date.now();
+
+  const cacheValid = keyCache && keyCache.uri === uri && keyCache.expiresAt > now;
+  // Google rotates keys regularly, so an unknown kid triggers a (rate limited) refetch
+  const shouldRefetch = !cacheValid ||
+    (!keyCache.keys.has(kid) && now - keyCache.fetchedAt > REFETCH_COOLDOWN_MS);
+
+  if (shouldRefetch) {
+    const { jwks, maxAgeMs } = await loadJwks(uri);
+    const keys = new Map();
+
+    (jwks.keys || []).forEach(jwk => {
+      if (jwk.kid && jwk.kty === 'RSA') {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      }
+    });
+
+    keyCache = { uri, keys, fetchedAt: now, expiresAt: now + maxAgeMs };
+  }
+
+  return keyCache.keys.get(kid) || null;
+};
+
+// ======================
+// Token Verification
+// ======================
+
+/**
+ * verifyGoogleIdToken - Verify a Google ID token and return its claims
+ *
+ * Checks the RS256 signature against Google's keys, the audience (our client
+ * IDs), the issuer, the expiry, and that Google has verified the email.
+ *
+ * Usage: const google = await verifyGoogleIdToken(req.body.idToken);
+ *
+ * @param {string} idToken - ID token from Google Sign-In
+ * @returns {Promise<Object|null>} - Token payload ({ sub, email, name, picture, ... }),
+ *          or null if the token is not valid
+ * @throws {Error} - If the signing keys cannot be loaded
+ */
+const verifyGoogleIdToken = async (idToken) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    console.warn('Google ID token rejected: malformed token');
+    return null;
+  }
+
+  const audiences = getAudiences();
+  if (audiences.length === 0) {
+    throw new Error('No Google client IDs configured for ID token verification');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  if (!key) {
+    console.warn('Google ID token rejected: unknown signing key', decoded.header.kid);
+    return null;
+  }
+
+  let payload;
+  try {
+    // Verifies signature, exp, aud and iss
+    payload = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      audience: audiences,
+      issuer: GOOGLE_ISSUERS
+    });
+  } catch (error) {
+    console.warn('Google ID token rejected:', error.message);
+    return null;
+  }
+
+  // Only trust addresses Google has verified
+  if (!payload.sub || !payload.email ||
+      (payload.email_verified !== true && payload.email_verified !== 'true')) {
+    console.warn('Google ID token rejected: email not verified');
+    return null;
+  }
+
+  return payload;
+};
+
+// Export verification helper
+module.exports = { verifyGoogleIdToken };
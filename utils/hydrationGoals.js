@@ -0,0 +1,392 @@
+/**
+ * utils/hydrationGoals.js - Daily Hydration Goal Engine
+ *
+ * Works out how much a user should drink on a given day:
+ *
+ *   day goal = goal version in effect that day + that day's adjustments
+ *
+ * The goal version comes from the health profile (weight, age, activity
+ * level; see config/hydration.js) or from a manual override. Versions are
+ * never edited: a change adds a new version (models/HydrationGoal.js), so
+ * past days keep the goal they had. Ages are taken on the day a version
+ * takes effect; a birthday that moves the user into another ML_PER_KG band
+ * adds a version effective from that birthday. Adjustments (workouts, hot weather, ...)
+ * are entered per day (models/HydrationAdjustment.js).
+ *
+ * Days are "YYYY-MM-DD" strings; callers pass the instant the day ends so
+ * the right version can be found. Amounts are millilitres; format* helpers
+ * convert them to the user's unit for responses.
+ */
+
+// Import required packages
+const HydrationGoal = require('../models/HydrationGoal');
+const HydrationAdjustment = require('../models/HydrationAdjustment');
+const { fromMl } = require('./volumeUnits');
+const {
+  DEFAULT_GOAL_ML,
+  MIN_GOAL_ML,
+  MAX_GOAL_ML,
+  GOAL_ROUNDING_ML,
+  ML_PER_KG,
+  DEFAULT_ML_PER_KG,
+  ACTIVITY_EXTRA_ML
+} = require('../config/hydration');
+
+// Profile fields the calculated goal depends on
+const GOAL_PROFILE_FIELDS = ['weightKg', 'dateOfBirth', 'activityLevel'];
+
+// ======================
+// Calculation
+// ======================
+
+/**
+ * getAge - Age in whole years
+ *
+ * @param {Date|null} dateOfBirth
+ * @param {Date} [at=new Date()] - Date to compute the age at
+ * @returns {number|null} - null without a date of birth
+ */
+const getAge = (dateOfBirth, at = new Date()) => {
+  if (!dateOfBirth) return null;
+
+  // Dates of birth are stored as UTC midnight
+  const age = at.getUTCFullYear() - dateOfBirth.getUTCFullYear();
+  const birthdayPassed = at.getUTCMonth() > dateOfBirth.getUTCMonth() ||
+    (at.getUTCMonth() === dateOfBirth.getUTCMonth() && at.getUTCDate() >= dateOfBirth.getUTCDate());
+
+  return birthdayPassed ? age : age - 1;
+};
+
+/**
+ * getAgeBand - ML_PER_KG band for an age
+ *
+ * @param {number|null} age
+ * @returns {Object|null} - null without an age
+ */
+const getAgeBand = (age) => (age === null ? null : ML_PER_KG.find(b => age <= b.maxAge));
+
+/**
+ * clampGoal - Keep a goal within MIN_GOAL_ML..MAX_GOAL_ML
+ *
+ * @param {number} ml
+ * @returns {number}
+ */
+const clampGoal = (ml) => Math.min(Math.max(ml, MIN_GOAL_ML), MAX_GOAL_ML);
+
+/**
+ * calculateGoal - Daily goal derived from a health profile
+ *
+ * @param {Object} user - User document (weightKg, dateOfBirth, activityLevel)
+ * @param {Date} [at=new Date()] - Date to compute the age at
+ * @returns {{ volumeMl: number, inputs: Object }} - Goal in ml and the
+ *          values it was derived from
+ */
+const calculateGoal = (user, at = new Date()) => {
+  const inputs = {
+    weightKg: user.weightKg || null,
+    age: getAge(user.dateOfBirth, at),
+    activityLevel: user.activityLevel || null
+  };
+
+  if (!inputs.weightKg) {
+    return { volumeMl: DEFAULT_GOAL_ML, inputs };
+  }
+
+  const band = getAgeBand(inputs.age);
+  const mlPerKg = band ? band.ml : DEFAULT_ML_PER_KG;
+  const ml = inputs.weightKg * mlPerKg + (ACTIVITY_EXTRA_ML[inputs.activityLevel] || 0);
+
+  return { volumeMl: clampGoal(Math.round(ml / GOAL_ROUNDING_ML) * GOAL_ROUNDING_ML), inputs };
+};
+
+/**
+ * isValidManualGoal - Whether a manual goal is acceptable
+ *
+ * @param {*} value - null (use the calculated goal) or millilitres
+ * @returns {boolean}
+ */
+const isValidManualGoal = (value) => value === null ||
+  (Number.isInteger(value) && value >= MIN_GOAL_ML && value <= MAX_GOAL_ML);
+
+// ======================
+// Goal Versions
+// ======================
+
+/**
+ * createVersion - Store a goal version computed from the user's profile
+ *
+ * @param {Object} user - User document
+ * @param {Object} fields - version, effectiveFrom, manualMl, reason
+ * @returns {Promise<Object|null>} - The version, or null if another request
+ *          stored the same version number first
+ */
+const createVersion = async (user, { version, effectiveFrom, manualMl, reason }) => {
+  const { volumeMl, inputs } = calculateGoal(user, effectiveFrom);
+
+  try {
+    return await HydrationGoal.create({
+      user: user._id,
+      version,
+      effectiveFrom,
+      volumeMl: manualMl || volumeMl,
+      calculatedMl: volumeMl,
+      manualMl,
+      inputs,
+      reason
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * getAgeBandStart - When the user entered their current age band, if that
+ * happened after a goal version was calculated
+ *
+ * Only birthdays count: if the date of birth was changed since the version
+ * (its age no longer matches), that is a profile change, which updateGoal
+ * records from now on rather than from a past birthday.
+ *
+ * @param {Object} user - User document
+ * @param {Object} goal - HydrationGoal document
+ * @returns {Date|null} - The birthday that started the current band, or
+ *          null if the version's band still applies
+ */
+const getAgeBandStart = (user, goal) => {
+  if (!user.dateOfBirth || goal.inputs.age === null) return null;
+  if (getAge(user.dateOfBirth, goal.effectiveFrom) !== goal.inputs.age) return null;
+
+  const band = getAgeBand(getAge(user.dateOfBirth));
+  if (band === getAgeBand(goal.inputs.age)) return null;
+
+  // The current band starts the year after the previous band's maxAge
+  const index = ML_PER_KG.indexOf(band);
+  const startAge = index > 0 ? ML_PER_KG[index - 1].maxAge + 1 : 0;
+  const dateOfBirth = user.dateOfBirth;
+
+  return new Date(Date.UTC(
+    dateOfBirth.getUTCFullYear() + startAge,
+    dateOfBirth.getUTCMonth(),
+    dateOfBirth.getUTCDate()
+  ));
+};
+
+/**
+ * getCurrentGoal - The user's latest goal version
+ *
+ * Users without one get version 1, calculated from their current profile
+ * and in effect since the account was created. If the user has since moved
+ * into another age band, a version effective from that birthday is added.
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - HydrationGoal document
+ */
+const getCurrentGoal = async (user) => {
+  const latest = await HydrationGoal.findOne({ user: user._id }).sort({ version: -1 });
+
+  if (latest) {
+    const bandStart = getAgeBandStart(user, latest);
+    if (!bandStart) return latest;
+
+    const created = await createVersion(user, {
+      version: latest.version + 1,
+      effectiveFrom: new Date(Math.max(bandStart.getTime(), latest.effectiveFrom.getTime())),
+      manualMl: latest.manualMl,
+      reason: 'age'
+    });
+
+    return created || HydrationGoal.findOne({ user: user._id }).sort({ version: -1 });
+  }
+
+  const created = await createVersion(user, {
+    version: 1,
+    effectiveFrom: user.createdAt || new Date(),
+    manualMl: null,
+    reason: 'initial'
+  });
+
+  return created || HydrationGoal.findOne({ user: user._id }).sort({ version: -1 });
+};
+
+/**
+ * updateGoal - Add a goal version if the user's goal changed
+ *
+ * Call after the profile was saved (reason 'profile') or to set or clear
+ * the manual goal (reason 'manual'). Nothing is stored if the goal would
+ * stay the same.
+ *
+ * Usage:
+ *   await getCurrentGoal(user);            // before changing the profile
+ *   ...save profile...
+ *   await updateGoal(user, { reason: 'profile' });
+ *
+ * @param {Object} user - User document
+ * @param {Object} options
+ * @param {string} options.reason - 'profile' or 'manual'
+ * @param {number|null} [options.manualMl] - New manual goal in ml (null to
+ *        clear; omit to keep the current one)
+ * @returns {Promise<{ goal: Object, changed: boolean }>}
+ */
+const updateGoal = async (user, { reason, manualMl }) => {
+  const current = await getCurrentGoal(user);
+  const manual = manualMl === undefined ? current.manualMl : manualMl;
+  const { volumeMl } = calculateGoal(user);
+
+  if (current.manualMl === manual && current.calculatedMl === volumeMl) {
+    return { goal: current, changed: false };
+  }
+
+  const created = await createVersion(user, {
+    version: current.version + 1,
+    effectiveFrom: new Date(),
+    manualMl: manual,
+    reason
+  });
+
+  // A concurrent update stored this version number; keep theirs
+  if (!created) {
+    return { goal: await getCurrentGoal(user), changed: false };
+  }
+
+  return { goal: created, changed: true };
+};
+
+/**
+ * getGoalHistory - Every goal version of a user, newest first
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<Object[]>}
+ */
+const getGoalHistory = async (user) => {
+  await getCurrentGoal(user);
+  return HydrationGoal.find({ user: user._id }).sort({ version: -1 }).lean();
+};
+
+// ======================
+// Day Goals
+// ======================
+
+/**
+ * loadGoalContext - Load what is needed to compute goals for a range of days
+ *
+ * One query for the versions and one for the adjustments, however many days
+ * the range has.
+ *
+ * @param {Object} user - User document
+ * @param {string} fromDay - First day (YYYY-MM-DD)
+ * @param {string} toDay - Last day (YYYY-MM-DD)
+ * @returns {Promise<{ versions: Object[], adjustments: Object }>} - versions
+ *          oldest first; adjustments grouped by day
+ */
+const loadGoalContext = async (user, fromDay, toDay) => {
+  await getCurrentGoal(user);
+
+  const [versions, adjustments] = await Promise.all([
+    HydrationGoal.find({ user: user._id }).sort({ version: 1 }).lean(),
+    HydrationAdjustment.find({ user: user._id, day: { $gte: fromDay, $lte: toDay } }).lean()
+  ]);
+
+  const byDay = {};
+  adjustments.forEach(adjustment => {
+    (byDay[adjustment.day] = byDay[adjustment.day] || []).push(adjustment);
+  });
+
+  return { versions, adjustments: byDay };
+};
+
+/**
+ * getDayGoal - Goal for one day
+ *
+ * The version in effect when the day ended applies (so a change made
+ * during a day already counts for it). Days before the first version use
+ * the first version.
+ *
+ * @param {Object} context - Result of loadGoalContext
+ * @param {string} day - Day (YYYY-MM-DD)
+ * @param {Date} dayEnd - Instant the day ends
+ * @returns {Object} - { version, baseMl, adjustmentMl, goalMl, adjustments }
+ */
+const getDayGoal = (context, day, dayEnd) => {
+  const applicable = context.versions.filter(v => v.effectiveFrom < dayEnd);
+  const version = applicable[applicable.length - 1] || context.versions[0];
+  const adjustments = context.adjustments[day] || [];
+  const adjustmentMl = adjustments.reduce((sum, a) => sum + a.extraMl, 0);
+
+  return {
+    version: version.version,
+    baseMl: version.volumeMl,
+    adjustmentMl,
+    goalMl: version.volumeMl + adjustmentMl,
+    adjustments: adjustments.map(a => ({ type: a.type, extraMl: a.extraMl }))
+  };
+};
+
+/**
+ * summarizeProgress - Progress towards a day's goal
+ *
+ * @param {Object} dayGoal - Result of getDayGoal
+ * @param {number} totalMl - Hydration (ml) counted that day
+ * @returns {Object} - dayGoal plus totalMl, percentComplete (may exceed 100),
+ *          remainingMl and goalMet
+ */
+const summarizeProgress = (dayGoal, totalMl) => ({
+  ...dayGoal,
+  totalMl,
+  percentComplete: Math.round((totalMl / dayGoal.goalMl) * 100),
+  remainingMl: Math.max(dayGoal.goalMl - totalMl, 0),
+  goalMet: totalMl >= dayGoal.goalMl
+});
+
+/**
+ * formatProgress - Progress for a response, amounts in the user's unit
+ *
+ * @param {Object} progress - Result of summarizeProgress
+ * @param {string} unit - Volume unit
+ * @returns {Object}
+ */
+const formatProgress = (progress, unit) => ({
+  version: progress.version,
+  goal: fromMl(progress.goalMl, unit),
+  base: fromMl(progress.baseMl, unit),
+  adjustment: fromMl(progress.adjustmentMl, unit),
+  total: fromMl(progress.totalMl, unit),
+  remaining: fromMl(progress.remainingMl, unit),
+  percentComplete: progress.percentComplete,
+  goalMet: progress.goalMet,
+  adjustments: progress.adjustments.map(a => ({ type: a.type, extra: fromMl(a.extraMl, unit) })),
+  unit
+});
+
+/**
+ * formatGoal - Public view of a goal version, amounts in the user's unit
+ *
+ * @param {Object} goal - HydrationGoal document or plain object
+ * @param {string} unit - Volume unit
+ * @returns {Object}
+ */
+const formatGoal = (goal, unit) => ({
+  version: goal.version,
+  goal: fromMl(goal.volumeMl, unit),
+  calculatedGoal: fromMl(goal.calculatedMl, unit),
+  manualGoal: fromMl(goal.manualMl, unit),
+  unit,
+  inputs: goal.inputs,
+  reason: goal.reason,
+  effectiveFrom: goal.effectiveFrom
+});
+
+// Export goal helpers
+module.exports = {
+  GOAL_PROFILE_FIELDS,
+  calculateGoal,
+  isValidManualGoal,
+  getCurrentGoal,
+  updateGoal,
+  getGoalHistory,
+  loadGoalContext,
+  getDayGoal,
+  summarizeProgress,
+  formatProgress,
+  formatGoal
+};
@@ -0,0 +1,139 @@
+/**
+ * utils/oauthAccounts.js - OAuth Account Resolution
+ *
+ * This file decides which User an OAuth identity signs in as, with the same
+ * rules for every provider (Google, GitHub, ...):
+ * 1. An identity already linked to an account signs in to that account.
+ * 2. Otherwise an account with the same (provider-verified) email is linked
+ *    automatically, but only if that account has verified its email.
+ * 3. Otherwise a new account is created.
+ */
+
+// Import required packages
+const User = require('../models/User');
+
+// ======================
+// Profile Helpers
+// ======================
+
+/**
+ * getVerifiedEmail - Pick the best verified email from a Passport profile
+ *
+ * Prefers the primary address. Only addresses the provider marks as
+ * verified are returned.
+ *
+ * @param {Object} profile - Passport profile
+ * @returns {string|null} - Lowercased email, or null if none is verified
+ */
+const getVerifiedEmail = (profile) => {
+  const emails = (profile.emails || []).filter(
+    e => e.value && (e.verified === true || e.verified === 'true')
+  );
+  const primary = emails.find(e => e.primary) || emails[0];
+
+  return primary ? primary.value.toLowerCase() : null;
+};
+
+// ======================
+// Account Resolution
+// ======================
+
+/**
+ * resolveOAuthUser - Find, link or create the user for an OAuth identity
+ *
+ * Usage:
+ *   const { user, error, linked } = await resolveOAuthUser({ provider: 'github', ... });
+ *   if (error) return res.status(error.status).json({ success: false, ...error });
+ *
+ * @param {Object} identity
+ * @param {string} identity.provider - Provider name ('google', 'github')
+ * @param {string} identity.providerId - User ID at the provider
+ * @param {string|null} identity.email - Email verified by the provider
+ * @param {string} [identity.name] - Display name
+ * @param {string} [identity.avatar] - Profile picture URL
+ * @param {string} [identity.accessToken] - Provider access token (if any)
+ * @param {string} [identity.refreshToken] - Provider refresh token (if any)
+ * @returns {Promise<{user?: Object, linked?: boolean, created?: boolean, error?: {status: number, code: string, message: string}}>}
+ *   linked: the identity was just linked to an existing account
+ *   created: a new account was created
+ */
+const resolveOAuthUser = async ({ provider, providerId, email, name, avatar, accessToken, refreshToken }) => {
+  // Look up by linked provider account first
+  let user = await User.findByProvider(provider, providerId).select('+password');
+
+  if (user) {
+    const linked = user.getProvider(provider);
+    if (accessToken) linked.accessToken = accessToken;
+    if (refreshToken) linked.refreshToken = refreshToken;
+
+    // The provider has verified that the user owns this address
+    if (!user.emailVerified && email && user.email === email) {
+      user.emailVerified = true;
+    }
+
+    if (user.isModified()) {
+      await user.save();
+    }
+
+    return { user };
+  }
+
+  if (!email) {
+    return {
+      error: {
+        status: 400,
+        code: 'NO_VERIFIED_EMAIL',
+        message: `Your ${provider} account has no verified email address`
+      }
+    };
+  }
+
+  user = await User.findOne({ email }).select('+password');
+
+  if (user) {
+    // The account is linked to a different account at this provider
+    if (user.getProvider(provider)) {
+      return {
+        error: {
+          status: 409,
+          code: 'PROVIDER_MISMATCH',
+          message: `This account is linked to a different ${provider} account`
+        }
+      };
+    }
+
+    // Only link automatically when the existing account has proven it owns
+    // the address; otherwise whoever registered it could keep access
+    if (!user.emailVerified) {
+      return {
+        error: {
+          status: 409,
+          code: 'ACCOUNT_EXISTS',
+          message: `An account with this email already exists. Sign in and link ${provider} from your account settings.`
+        }
+      };
+    }
+
+    user.oauthProviders.push({ provider, providerId, accessToken, refreshToken });
+    user.refreshAuthMethod();
+    if (avatar && !user.avatar) user.avatar = avatar;
+    await user.save();
+
+    return { user, linked: true };
+  }
+
+  // Create new user
+  user = await User.create({
+    name: (name || email.split('@')[0]).slice(0, 50),
+    email,
+    authMethod: provider,
+    emailVerified: true,
+    oauthProviders: [{ provider, providerId, accessToken, refreshToken }],
+    avatar: avatar || null
+  });
+
+  return { user, created: true };
+};
+
+// Export OAuth account helpers
+module.exports = { getVerifiedEmail, resolveOAuthUser };
@@ -0,0 +1,103 @@
+/**
+ * utils/oauthState.js - OAuth State & PKCE Store
+ *
+ * passport-oauth2 keeps `state` (and the PKCE verifier) in express-session by
+ * default. This API is stateless (JWT), so this file provides a state store
+ * backed by MongoDB instead (see models/OAuthState.js).
+ *
+ * Flow:
+ * 1. GET /api/auth/<provider>: Passport calls store.store(), which saves a
+ *    record and returns a random handle sent to the provider as `state`.
+ * 2. GET /api/auth/<provider>/callback: the route calls consumeOAuthState()
+ *    (deleting the record) and puts it on req.oauthState; Passport then calls
+ *    store.verify(), which hands the PKCE verifier back for the token request.
+ */
+
+// Import required packages
+const crypto = require('crypto');
+const OAuthState = require('../models/OAuthState');
+const { hashToken } = require('./tokens');
+
+// Users have 10 minutes to finish signing in at the provider
+const STATE_EXPIRE_MS = 10 * 60 * 1000;
+
+// ======================
+// State Store
+// ======================
+
+/**
+ * createStateStore - Passport state store for one provider
+ *
+ * The app data (redirect URI and code challenge) is passed to
+ * passport.authenticate as the `state` option and saved with the record.
+ *
+ * @param {string} provider - Provider name
+ * @returns {Object} - Store with store() and verify() as passport-oauth2 expects
+ */
+const createStateStore = (provider) => ({
+  // Arity 5: passport-oauth2 passes the PKCE verifier (undefined without PKCE)
+  store(req, verifier, appState, meta, callback) {
+    const handle = crypto.randomBytes(24).toString('hex');
+
+    OAuthState.create({
+      handleHash: hashToken(handle),
+      provider,
+      codeVerifier: verifier || null,
+      redirectUri: appState.redirectUri,
+      codeChallenge: appState.codeChallenge,
+      expiresAt: new Date(Date.now() + STATE_EXPIRE_MS)
+    })
+      .then(() => callback(null, handle))
+      .catch(error => callback(error));
+  },
+
+  // The record was already looked up and deleted by the callback route
+  verify(req, providedState, callback) {
+    const record = req.oauthState;
+
+    if (!record || record.provider !== provider) {
+      return callback(null, false, { message: 'Invalid authorization request state.' });
+    }
+
+    // A string tells passport-oauth2 to send it as code_verifier
+    callback(null, record.codeVerifier || true, {
+      redirectUri: record.redirectUri,
+      codeChallenge: record.codeChallenge
+    });
+  }
+});
+
+/**
+ * verifyPkce - Check a PKCE code verifier against its S256 challenge
+ *
+ * @param {string} verifier - code_verifier sent by the app
+ * @param {string} challenge - code_challenge sent when the flow started
+ * @returns {boolean}
+ */
+const verifyPkce = (verifier, challenge) => {
+  if (typeof verifier !== 'string' || !challenge) return false;
+
+  const expected = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return expected.length === challenge.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(challenge));
+};
+
+/**
+ * consumeOAuthState - Look up and delete a pending OAuth request
+ *
+ * @param {string} provider - Provider name the callback is for
+ * @param {string} handle - `state` query parameter from the provider
+ * @returns {Promise<Object|null>} - The OAuthState record, or null if unknown/expired
+ */
+const consumeOAuthState = async (provider, handle) => {
+  if (!handle || typeof handle !== 'string') return null;
+
+  return OAuthState.findOneAndDelete({
+    handleHash: hashToken(handle),
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Export state store helpers
+module.exports = { createStateStore, consumeOAuthState, verifyPkce };
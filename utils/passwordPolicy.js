@@ -0,0 +1,156 @@
+/**
+ * utils/passwordPolicy.js - Password Policy
+ *
+ * One policy applied everywhere a password is set (register, reset-password,
+ * change-password, adding a password to an account). Passwords are hashed
+ * before they reach the schema, so the policy has to run on the plaintext here.
+ *
+ * Rules:
+ * - Between PASSWORD_MIN_LENGTH (default 8) and 72 characters
+ *   (bcrypt ignores anything after 72 bytes)
+ * - At least 3 of: lowercase letter, uppercase letter, digit, symbol
+ * - Not on the common/breached password list (config/common-passwords.txt,
+ *   or the file named by COMMON_PASSWORDS_FILE)
+ * - Does not contain the user's name or email
+ */
+
+// Import required packages
+const fs = require('fs');
+const path = require('path');
+
+// ======================
+// Configuration
+// ======================
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const MAX_LENGTH = 72;
+const MIN_CHARACTER_CLASSES = 3;
+
+// Name/email parts shorter than this are too common to reject on
+const MIN_PERSONAL_PART_LENGTH = 3;
+
+// ======================
+// Common Password List
+// ======================
+
+let commonPasswords = null;
+
+/**
+ * getCommonPasswords - Load the common password list (once)
+ *
+ * @returns {Set<string>} - Lowercased passwords
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    const file = process.env.COMMON_PASSWORDS_FILE ||
+      path.join(__dirname, '..', 'config', 'common-passwords.txt');
+
+    commonPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(Boolean)
+    );
+  }
+
+  return commonPasswords;
+};
+
+/**
+ * isCommonPassword - Check a password against the list
+ *
+ * Also catches trivial variations like "Password123!" by stripping
+ * trailing digits and symbols before looking it up.
+ *
+ * @param {string} password - Plaintext password
+ * @returns {boolean}
+ */
+const isCommonPassword = (password) => {
+  const list = getCommonPasswords();
+  const lower = password.toLowerCase();
+  const stripped = lower.replace(/[^a-z]+$/, '');
+
+  return list.has(lower) || (stripped.length > 0 && list.has(stripped));
+};
+
+// ======================
+// Validation
+// ======================
+
+/**
+ * validatePassword - Check a password against the policy
+ *
+ * Usage:
+ *   const errors = validatePassword(password, { name, email });
+ *   if (errors.length > 0) return res.status(400).json({ ..., errors });
+ *
+ * @param {string} password - Plaintext password
+ * @param {Object} [user] - Personal info the password must not contain
+ * @param {string} [user.name]
+ * @param {string} [user.email]
+ * @returns {string[]} - Human readable problems (empty if the password is OK)
+ */
+const validatePassword = (password, { name, email } = {}) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  const errors = [];
+
+  if (password.length < MIN_LENGTH) {
+    errors.push(`Password must be at least ${MIN_LENGTH} characters`);
+  }
+
+  if (password.length > MAX_LENGTH) {
+    errors.push(`Password must be at most ${MAX_LENGTH} characters`);
+  }
+
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/]
+    .filter(regex => regex.test(password)).length;
+
+  if (classes < MIN_CHARACTER_CLASSES) {
+    errors.push('Password must contain at least three of: lowercase letters, uppercase letters, numbers, symbols');
+  }
+
+  if (isCommonPassword(password)) {
+    errors.push('Password is too common, please choose another one');
+  }
+
+  // Full email, the part before @, and each word of the name
+  const lower = password.toLowerCase();
+  const personalParts = [];
+
+  if (typeof email === 'string' && email) {
+    personalParts.push(email.toLowerCase(), email.toLowerCase().split('@')[0]);
+  }
+  if (typeof name === 'string' && name) {
+    personalParts.push(...name.toLowerCase().split(/\s+/));
+  }
+
+  const containsPersonal = personalParts.some(
+    part => part.length >= MIN_PERSONAL_PART_LENGTH && lower.includes(part)
+  );
+
+  if (containsPersonal) {
+    errors.push('Password must not contain your name or email');
+  }
+
+  return errors;
+};
+
+/**
+ * sendPasswordPolicyError - Send a 400 response listing policy problems
+ *
+ * @param {Object} res - Express response object
+ * @param {string[]} errors - Output of validatePassword
+ */
+const sendPasswordPolicyError = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    message: errors[0],
+    errors
+  });
+};
+
+// Export password policy helpers
+module.exports = { MIN_LENGTH, validatePassword, sendPasswordPolicyError };
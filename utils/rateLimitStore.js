@@ -0,0 +1,161 @@
+/**
+ * utils/rateLimitStore.js - Rate Limit Counter Stores
+ *
+ * Rate limiting and brute-force protection keep their counters behind a small
+ * store interface, so the backing storage can be swapped:
+ * - memory (default): counters live in this process
+ * - mongo: counters live in MongoDB, shared by all server instances
+ *
+ * Select with RATE_LIMIT_STORE=memory|mongo.
+ *
+ * Store interface (all methods async):
+ * - get(key)                 -> { count, blockedUntil, expiresAt } | null
+ * - increment(key, windowMs) -> { count, blockedUntil, expiresAt }
+ *     Adds one hit. A new window of windowMs starts if none is active.
+ * - block(key, until)        -> void
+ *     Refuses the key until the given Date (keeps the record alive until then).
+ * - reset(key)               -> void
+ */
+
+// Import required packages
+const RateLimit = require('../models/RateLimit');
+
+// ======================
+// Memory Store
+// ======================
+
+/**
+ * createMemoryStore - Store counters in a Map in this process
+ *
+ * @returns {Object} - Rate limit store
+ */
+const createMemoryStore = () => {
+  const records = new Map();
+
+  // Drop a record whose window is over
+  const getActive = (key) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  // Periodically remove expired records so the Map does not grow forever
+  const sweep = setInterval(() => {
+    const now = new Date();
+    records.forEach((record, key) => {
+      if (record.expiresAt <= now) records.delete(key);
+    });
+  }, 60 * 1000);
+  // Do not keep the process alive just for the sweeper
+  sweep.unref();
+
+  return {
+    async get(key) {
+      const record = getActive(key);
+      return record ? { ...record } : null;
+    },
+
+    async increment(key, windowMs) {
+      let record = getActive(key);
+
+      if (!record) {
+        record = { count: 0, blockedUntil: null, expiresAt: new Date(Date.now() + windowMs) };
+        records.set(key, record);
+      }
+
+      record.count += 1;
+      return { ...record };
+    },
+
+    async block(key, until) {
+      const record = getActive(key) || { count: 0, blockedUntil: null, expiresAt: until };
+      record.blockedUntil = until;
+      if (record.expiresAt < until) record.expiresAt = until;
+      records.set(key, record);
+    },
+
+    async reset(key) {
+      records.delete(key);
+    }
+  };
+};
+
+// ======================
+// MongoDB Store
+// ======================
+
+/**
+ * createMongoStore - Store counters in the RateLimit collection
+ *
+ * @returns {Object} - Rate limit store
+ */
+const createMongoStore = () => {
+  const toRecord = (doc) => ({
+    count: doc.count,
+    blockedUntil: doc.blockedUntil,
+    expiresAt: doc.expiresAt
+  });
+
+  return {
+    async get(key) {
+      const doc = await RateLimit.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      return doc ? toRecord(doc) : null;
+    },
+
+    async increment(key, windowMs) {
+      // The TTL monitor only runs once a minute, so clear an expired window first
+      await RateLimit.deleteOne({ key, expiresAt: { $lte: new Date() } });
+
+      const update = {
+        $inc: { count: 1 },
+        $setOnInsert: { expiresAt: new Date(Date.now() + windowMs) }
+      };
+
+      try {
+        const doc = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true }).lean();
+        return toRecord(doc);
+      } catch (error) {
+        // Two instances inserted the same key at once - the other insert won, retry as update
+        if (error.code !== 11000) throw error;
+        const doc = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true }).lean();
+        return toRecord(doc);
+      }
+    },
+
+    async block(key, until) {
+      await RateLimit.updateOne(
+        { key },
+        { $set: { blockedUntil: until }, $max: { expiresAt: until } },
+        { upsert: true }
+      );
+    },
+
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+};
+
+// ======================
+// Store Selection
+// ======================
+
+let store = null;
+
+/**
+ * getStore - The configured store (created on first use)
+ *
+ * @returns {Object} - Rate limit store
+ */
+const getStore = () => {
+  if (!store) {
+    store = process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+  }
+  return store;
+};
+
+// Export store factories and the shared instance
+module.exports = { createMemoryStore, createMongoStore, getStore };
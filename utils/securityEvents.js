@@ -0,0 +1,194 @@
+/**
+ * utils/securityEvents.js - Security Audit Log Helpers
+ *
+ * This file provides one function to record security events and the
+ * helpers used to read them back (GET /api/user/security-events and
+ * GET /api/admin/security-events).
+ *
+ * Events are kept for SECURITY_EVENT_RETENTION_DAYS (default 365) days.
+ * The retention period is stored on every event, so changing it only
+ * affects events recorded afterwards.
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+const SecurityEvent = require('../models/SecurityEvent');
+
+// ======================
+// Configuration
+// ======================
+
+const RETENTION_DAYS = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS, 10) || 365;
+
+// Page size limits for the event list endpoints
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * EVENT_TYPES - Every event type that is recorded
+ */
+const EVENT_TYPES = [
+  'register',
+  'login.success',
+  'login.failure',
+  'account.locked',
+  'email.verified',
+  'email.change_requested',
+  'email.changed',
+  'email.change_cancelled',
+  'email.change_reverted',
+  'provider.linked',
+  'provider.unlinked',
+  'password.added',
+  'password.changed',
+  'password.reset_requested',
+  'password.reset_completed',
+  'profile.updated',
+  'session.revoked',
+  'sessions.revoked_all',
+  'access_token.created',
+  'access_token.revoked',
+  '2fa.enabled',
+  '2fa.disabled',
+  '2fa.recovery_codes_regenerated',
+  'account.deletion_scheduled',
+  'account.deletion_cancelled',
+  // Actions taken by staff through /api/admin (actor is the staff member)
+  'admin.users_searched',
+  'admin.user_viewed',
+  'admin.water_viewed',
+  'admin.security_events_viewed',
+  'admin.user_disabled',
+  'admin.user_enabled',
+  'admin.password_reset_forced',
+  'admin.sessions_revoked',
+  'admin.role_changed'
+];
+
+// ======================
+// Recording
+// ======================
+
+/**
+ * recordSecurityEvent - Write one event to the audit log
+ *
+ * Never throws: failing to write the audit log must not fail the request,
+ * so errors are only logged.
+ *
+ * Usage:
+ *   await recordSecurityEvent(req, 'password.changed', { user });
+ *
+ * @param {Object} req - Express request object (for IP and user agent)
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} [details]
+ * @param {Object|string} [details.user] - User document or ID
+ * @param {Object|string} [details.actor] - Staff member performing an admin action
+ * @param {string} [details.email] - Email (defaults to the user's email)
+ * @param {Object} [details.metadata] - Extra details, no secrets
+ * @returns {Promise<void>}
+ */
+const recordSecurityEvent = async (req, type, { user = null, actor = null, email = null, metadata = {} } = {}) => {
+  try {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown security event type: ${type}`);
+    }
+
+    await SecurityEvent.create({
+      user: user ? (user._id || user) : null,
+      actor: actor ? (actor._id || actor) : null,
+      email: email || (user && user.email) || null,
+      type,
+      ip: (req && req.ip) || null,
+      userAgent: req && req.get('User-Agent') ? req.get('User-Agent').slice(0, 500) : null,
+      metadata,
+      expiresAt: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    console.error('Security event error:', error);
+  }
+};
+
+// ======================
+// Querying
+// ======================
+
+/**
+ * buildEventQuery - Turn list endpoint query parameters into a MongoDB filter
+ *
+ * Supported parameters:
+ * - type: event type (comma separated for several)
+ * - from, to: ISO dates limiting createdAt
+ * - before: event ID, returns events older than it (pagination)
+ *
+ * @param {Object} query - req.query
+ * @returns {{ filter?: Object, error?: string }}
+ */
+const buildEventQuery = (query) => {
+  const filter = {};
+
+  if (query.type) {
+    const types = String(query.type).split(',').map(t => t.trim());
+    if (types.some(t => !EVENT_TYPES.includes(t))) {
+      return { error: 'Unknown event type' };
+    }
+    filter.type = { $in: types };
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+
+    for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+      if (!query[param]) continue;
+
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        return { error: `Invalid ${param} date` };
+      }
+      filter.createdAt[operator] = date;
+    }
+  }
+
+  if (query.before) {
+    if (!mongoose.isValidObjectId(query.before)) {
+      return { error: 'Invalid before cursor' };
+    }
+    filter._id = { $lt: query.before };
+  }
+
+  return { filter };
+};
+
+/**
+ * findSecurityEvents - Read a page of events, newest first
+ *
+ * @param {Object} filter - MongoDB filter (from buildEventQuery plus user/email)
+ * @param {*} [limit] - Requested page size
+ * @returns {Promise<{ events: Object[], nextCursor: string|null }>}
+ */
+const findSecurityEvents = async (filter, limit) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  // ObjectIds grow with time, so sorting by _id is newest first
+  const events = await SecurityEvent.find(filter)
+    .sort({ _id: -1 })
+    .limit(pageSize + 1)
+    .select('-expiresAt -__v')
+    .lean();
+
+  const hasMore = events.length > pageSize;
+  if (hasMore) events.pop();
+
+  return {
+    events: events.map(({ _id, ...event }) => ({ id: _id, ...event })),
+    nextCursor: hasMore ? events[events.length - 1]._id.toString() : null
+  };
+};
+
+// Export security event helpers
+module.exports = {
+  EVENT_TYPES,
+  RETENTION_DAYS,
+  recordSecurityEvent,
+  buildEventQuery,
+  findSecurityEvents
+};
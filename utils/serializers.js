@@ -0,0 +1,169 @@
+/**
+ * utils/serializers.js - API Views of Users and Water Entries
+ *
+ * Routes never send Mongoose documents directly. Every user or water entry
+ * in a response goes through serializeUser / serializeWater, which copy an
+ * explicit list of fields for the audience:
+ *
+ * - public: anyone (other users, unauthenticated callers)
+ * - self: the account owner
+ * - admin: staff using the admin API
+ *
+ * Secrets (password hash, provider tokens, 2FA secret, reset and sign-in
+ * tokens) are in no view. They are also select: false in the schema, so they
+ * are not even loaded unless a route asks for them.
+ *
+ * Both plain objects (.lean()) and documents are accepted.
+ */
+
+// Import unit conversion
+const { fromMl } = require('./volumeUnits');
+
+// ======================
+// Field Readers
+// ======================
+
+// How to read fields that are not copied as-is (everything else is user[field])
+const USER_FIELD_READERS = {
+  id: user => user._id,
+  // Thumbnails only exist for uploaded avatars (not provider pictures)
+  avatarThumbnails: user => ((user.avatarKeys || []).length > 0 ? user.avatarThumbnails : null),
+  providers: user => serializeProviders(user.oauthProviders)
+};
+
+// Amounts are given in the requested unit as well as in ml
+const WATER_FIELD_READERS = {
+  id: entry => entry._id,
+  amount: (entry, { unit }) => fromMl(entry.volumeMl, unit),
+  hydration: (entry, { unit }) => fromMl(entry.hydrationMl, unit),
+  unit: (entry, { unit }) => unit
+};
+
+// ======================
+// Views
+// ======================
+
+// Health profile (see models/User.js)
+const HEALTH_FIELDS = [
+  'dateOfBirth',
+  'sex',
+  'heightCm',
+  'weightKg',
+  'activityLevel',
+  'timezone',
+  'locale',
+  'units'
+];
+
+// Fields included in each user view
+const USER_VIEWS = {
+  public: ['id', 'name', 'avatar'],
+
+  self: [
+    'id', 'name', 'email', 'emailVerified', 'avatar', 'avatarThumbnails',
+    'authMethod', 'role', 'twoFactorEnabled',
+    ...HEALTH_FIELDS, 'volumeUnit',
+    'pendingEmail', 'deletionScheduledAt', 'createdAt', 'updatedAt'
+  ],
+
+  // Account state only: health data needs its own permission (users:water:read)
+  admin: [
+    'id', 'name', 'email', 'emailVerified', 'avatar',
+    'role', 'authMethod', 'providers', 'twoFactorEnabled',
+    'disabledAt', 'disabledReason', 'passwordResetRequired',
+    'pendingEmail', 'deletionScheduledAt', 'createdAt', 'updatedAt'
+  ]
+};
+
+// Fields included in each water entry view
+const WATER_FIELDS = [
+  'id', 'date', 'amount', 'hydration', 'unit', 'volumeMl', 'hydrationMl',
+  'beverage', 'container', 'notes', 'createdAt', 'updatedAt'
+];
+
+const WATER_VIEWS = {
+  self: WATER_FIELDS,
+  admin: ['user', ...WATER_FIELDS]
+};
+
+// ======================
+// Serializers
+// ======================
+
+/**
+ * pick - Copy the fields of a view from a document
+ *
+ * @param {Object} doc - Document or plain object
+ * @param {string[]} fields - Field names
+ * @param {Object} readers - Custom readers by field name
+ * @param {Object} [options] - Passed to the readers
+ * @returns {Object}
+ */
+const pick = (doc, fields, readers, options = {}) => Object.fromEntries(
+  fields.map(field => [field, readers[field] ? readers[field](doc, options) : doc[field]])
+);
+
+/**
+ * getView - Fields of a named view
+ *
+ * @param {Object} views - View definitions
+ * @param {string} view - View name
+ * @returns {string[]}
+ */
+const getView = (views, view) => {
+  if (!views[view]) {
+    throw new Error(`Unknown view: ${view}`);
+  }
+  return views[view];
+};
+
+/**
+ * serializeProviders - Linked sign-in providers (no provider IDs or tokens)
+ *
+ * @param {Object[]} providers - user.oauthProviders
+ * @returns {Object[]} - [{ provider, linkedAt }]
+ */
+const serializeProviders = (providers) => (providers || []).map(p => ({
+  provider: p.provider,
+  linkedAt: p.linkedAt
+}));
+
+/**
+ * serializeUser - A user as sent in API responses
+ *
+ * Usage:
+ *   res.json({ success: true, user: serializeUser(req.user, 'self') });
+ *
+ * @param {Object} user - User document or plain object
+ * @param {string} [view='self'] - 'public', 'self' or 'admin'
+ * @returns {Object|null}
+ */
+const serializeUser = (user, view = 'self') => {
+  if (!user) return null;
+  return pick(user, getView(USER_VIEWS, view), USER_FIELD_READERS);
+};
+
+/**
+ * serializeWater - A water intake entry as sent in API responses
+ *
+ * Usage:
+ *   serializeWater(entry, 'self', 'fl_oz')
+ *
+ * @param {Object} entry - Water document or plain object
+ * @param {string} [view='self'] - 'self' or 'admin' (adds the owner's ID)
+ * @param {string} [unit='ml'] - Unit of amount and hydration
+ * @returns {Object|null}
+ */
+const serializeWater = (entry, view = 'self', unit = 'ml') => {
+  if (!entry) return null;
+  return pick(entry, getView(WATER_VIEWS, view), WATER_FIELD_READERS, { unit });
+};
+
+// Export serializers
+module.exports = {
+  USER_VIEWS,
+  WATER_VIEWS,
+  serializeUser,
+  serializeWater,
+  serializeProviders
+};
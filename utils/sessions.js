@@ -0,0 +1,118 @@
+/**
+ * utils/sessions.js - Login Session Helpers
+ *
+ * This file provides utility functions for creating and revoking sessions.
+ * Revoking a session also revokes every refresh token issued for it, so the
+ * device can neither call the API nor refresh its access token afterwards.
+ */
+
+// Import required packages
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+
+// Only write lastSeenAt once per minute to avoid a DB write on every request
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+// ======================
+// Session Creation
+// ======================
+
+/**
+ * createSession - Record a new login for a user
+ *
+ * Device name is taken from the request body (deviceName) or the
+ * X-Device-Name header, so the app can label sessions like "Pixel 8".
+ *
+ * @param {string} userId - MongoDB user ID
+ * @param {Object} req - Express request object of the login request
+ * @returns {Promise<Object>} - The created Session document
+ */
+const createSession = async (userId, req) => {
+  const deviceName = (req.body && req.body.deviceName) || req.get('X-Device-Name') || null;
+
+  return Session.create({
+    user: userId,
+    deviceName: deviceName ? String(deviceName).slice(0, 100) : null,
+    userAgent: req.get('User-Agent') ? req.get('User-Agent').slice(0, 500) : null,
+    ip: req.ip || null
+  });
+};
+
+/**
+ * touchSession - Update lastSeenAt (at most once per minute)
+ *
+ * @param {Object} session - Session document
+ * @returns {Promise<void>}
+ */
+const touchSession = async (session) => {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS) {
+    return;
+  }
+
+  session.lastSeenAt = new Date();
+  await Session.updateOne({ _id: session._id }, { lastSeenAt: session.lastSeenAt });
+};
+
+// ======================
+// Session Revocation
+// ======================
+
+/**
+ * revokeSessions - Revoke sessions matching a filter and their refresh tokens
+ *
+ * @param {Object} filter - Mongoose filter on the Session collection
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeSessions = async (filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id');
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map(s => s._id);
+  const now = new Date();
+
+  await Session.updateMany({ _id: { $in: ids } }, { revokedAt: now });
+
+  // Refresh token families are named after their session ID
+  await RefreshToken.updateMany(
+    { family: { $in: ids.map(id => id.toString()) }, revokedAt: null },
+    { revokedAt: now }
+  );
+
+  return ids.length;
+};
+
+/**
+ * revokeSession - Revoke a single session
+ *
+ * @param {string} sessionId - Session ID
+ * @param {string} [userId] - If given, only revoke when the session belongs to this user
+ * @returns {Promise<boolean>} - True if a session was revoked
+ */
+const revokeSession = async (sessionId, userId) => {
+  const filter = { _id: sessionId };
+  if (userId) filter.user = userId;
+
+  return (await revokeSessions(filter)) > 0;
+};
+
+/**
+ * revokeUserSessions - Revoke all of a user's sessions ("log out everywhere")
+ *
+ * @param {string} userId - MongoDB user ID
+ * @param {string} [exceptSessionId] - Session to keep signed in (e.g. the current one)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, exceptSessionId) => {
+  const filter = { user: userId };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return revokeSessions(filter);
+};
+
+// Export session helpers
+module.exports = {
+  createSession,
+  touchSession,
+  revokeSession,
+  revokeUserSessions
+};
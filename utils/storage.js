@@ -0,0 +1,148 @@
+/**
+ * utils/storage.js - File Storage Adapters
+ *
+ * User uploads (avatars) are written through a small storage interface so
+ * they can live on local disk or in an S3-compatible bucket.
+ *
+ * Select with STORAGE_DRIVER=local|s3 (default local).
+ *
+ * Storage interface (all methods async except getUrl):
+ * - put(key, buffer, contentType) -> void
+ * - delete(key)                   -> void (missing files are ignored)
+ * - getUrl(key)                   -> public URL the file is served from
+ *
+ * Keys are relative paths such as "avatars/<userId>/<id>-128.webp".
+ * Uploaded files never change, so each new upload gets a new key.
+ */
+
+// Import required packages
+const fs = require('fs/promises');
+const path = require('path');
+
+// ======================
+// Local Disk Storage
+// ======================
+
+/**
+ * createLocalStorage - Store files under a local directory
+ *
+ * Files are served by app.js at LOCAL_STORAGE_URL (default /uploads).
+ *
+ * Environment:
+ * - UPLOADS_DIR: directory to write to (default ./uploads)
+ * - LOCAL_STORAGE_URL: URL prefix files are served from (default /uploads,
+ *   prefixed with CLIENT_URL when set so the app gets absolute URLs)
+ *
+ * @returns {Object} - Storage
+ */
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.UPLOADS_DIR || 'uploads');
+  const baseUrl = `${process.env.CLIENT_URL || ''}${process.env.LOCAL_STORAGE_URL || '/uploads'}`;
+
+  // Refuse keys that would escape the uploads directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    root,
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async delete(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key}`;
+    }
+  };
+};
+
+// ======================
+// S3-Compatible Storage
+// ======================
+
+/**
+ * createS3Storage - Store files in an S3 (or S3-compatible) bucket
+ *
+ * Needs the optional @aws-sdk/client-s3 package. Credentials come from the
+ * usual AWS environment variables / instance role.
+ *
+ * Environment:
+ * - S3_BUCKET: bucket name (required)
+ * - S3_REGION: region (default us-east-1)
+ * - S3_ENDPOINT: endpoint for S3-compatible services (MinIO, R2, Spaces, ...)
+ * - S3_FORCE_PATH_STYLE: 'true' for services that need path-style URLs
+ * - S3_PUBLIC_URL: URL prefix files are served from
+ *   (default https://<bucket>.s3.<region>.amazonaws.com)
+ *
+ * @returns {Object} - Storage
+ */
+const createS3Storage = () => {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || 'us-east-1';
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  });
+  const baseUrl = process.env.S3_PUBLIC_URL || `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  return {
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        // Keys never change content, so clients may cache forever
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getUrl(key) {
+      return `${baseUrl.replace(/\/$/, '')}/${key}`;
+    }
+  };
+};
+
+// ======================
+// Shared Instance
+// ======================
+
+let storage = null;
+
+/**
+ * getStorage - The configured storage (created on first use)
+ *
+ * @returns {Object} - Storage
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = process.env.STORAGE_DRIVER === 's3' ? createS3Storage() : createLocalStorage();
+  }
+  return storage;
+};
+
+// Export storage factories and the shared instance
+module.exports = { createLocalStorage, createS3Storage, getStorage };
@@ -0,0 +1,191 @@
+/**
+ * utils/timeZones.js - Calendar Days in a User's Time Zone
+ *
+ * Water intake is grouped by the user's own calendar day: a glass drunk at
+ * 8pm in Vancouver belongs to that day, not to the next UTC day. Days are
+ * "YYYY-MM-DD" strings; these helpers convert between days and instants in
+ * any IANA time zone using the runtime's time zone data (Intl), including
+ * daylight saving transitions (days of 23 or 25 hours).
+ */
+
+// Day in YYYY-MM-DD format
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Intl formatters are expensive to create, so one is kept per time zone
+const formatters = new Map();
+
+/**
+ * getFormatter - Cached formatter giving numeric date/time parts in a zone
+ *
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat}
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * getLocalParts - Wall-clock date and time of an instant in a zone
+ *
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { year, month, day, hour, minute, second } as numbers
+ */
+const getLocalParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+};
+
+// ======================
+// Validation
+// ======================
+
+/**
+ * isValidTimeZone - Whether the runtime knows an IANA time zone
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * isValidDay - Whether a string is a real calendar day in YYYY-MM-DD format
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isValidDay = (value) => {
+  if (typeof value !== 'string' || !DAY_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// ======================
+// Days and Instants
+// ======================
+
+/**
+ * getDay - Calendar day of an instant in a zone
+ *
+ * @param {Date|number} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - YYYY-MM-DD
+ */
+const getDay = (date, timeZone) => {
+  const { year, month, day } = getLocalParts(date, timeZone);
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * addDays - Move a day forward or back (calendar arithmetic, no time zone)
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - YYYY-MM-DD
+ */
+const addDays = (day, days) => new Date(Date.parse(day) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * addMonths - Move a day by whole months (overflowing days roll over, so
+ * one month before March 31 is March 3, like Date#setMonth)
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} months - Months to add (negative to go back)
+ * @returns {string} - YYYY-MM-DD
+ */
+const addMonths = (day, months) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 + months, date)).toISOString().slice(0, 10);
+};
+
+/**
+ * getOffset - How far a zone's wall clock is ahead of UTC at an instant
+ *
+ * @param {number} time - Instant (ms)
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} - Offset in ms (negative west of UTC)
+ */
+const getOffset = (time, timeZone) => {
+  const p = getLocalParts(time, timeZone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClock - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * startOfDay - First instant of a calendar day in a zone
+ *
+ * Usually local midnight. Where a daylight saving change skips midnight
+ * (e.g. America/Santiago) the day starts at the first existing time.
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+const startOfDay = (day, timeZone) => {
+  const midnight = Date.parse(day);
+
+  // The offset may differ on either side of a transition: try both
+  let time = midnight - getOffset(midnight, timeZone);
+  time = midnight - getOffset(time, timeZone);
+
+  // Midnight does not exist that day: the clock jumped to a later time
+  while (getDay(time, timeZone) < day) {
+    time += HOUR_MS;
+    time -= getLocalParts(time, timeZone).minute * 60 * 1000;
+  }
+
+  // Midnight exists twice: take the earlier one
+  if (getDay(time - HOUR_MS, timeZone) === day && getLocalParts(time - HOUR_MS, timeZone).hour === 0) {
+    time -= HOUR_MS;
+  }
+
+  return new Date(time);
+};
+
+/**
+ * getDayRange - Instants a calendar day covers in a zone
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {{ start: Date, end: Date }} - end is the start of the next day (exclusive)
+ */
+const getDayRange = (day, timeZone) => ({
+  start: startOfDay(day, timeZone),
+  end: startOfDay(addDays(day, 1), timeZone)
+});
+
+// Export time zone helpers
+module.exports = {
+  isValidTimeZone,
+  isValidDay,
+  getDay,
+  addDays,
+  addMonths,
+  startOfDay,
+  getDayRange
+};
@@ -1,48 +1,321 @@
 /**
- * utils/tokens.js - JWT Token Generation
- * 
- * This file provides utility functions for creating JWT tokens.
- * Tokens are used for stateless authentication across the application.
+ * utils/tokens.js - Access & Refresh Token Helpers
+ *
+ * This file provides utility functions for creating authentication tokens:
+ * - Short-lived JWT access tokens sent as "Authorization: Bearer <token>"
+ * - Opaque refresh tokens stored (hashed) in MongoDB and rotated on each use
  */
 
-// Import JWT library
+// Import required packages
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const AuthCode = require('../models/AuthCode');
+const { createSession, touchSession, revokeSession } = require('./sessions');
+const { recordSecurityEvent } = require('./securityEvents');
 
 // ======================
-// Token Generation Function
+// Configuration
+// ======================
+
+// Lifetime of access tokens (e.g. "15m", "1h")
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+
+// Lifetime of refresh tokens in days
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+// ======================
+// Access Tokens
 // ======================
 
 /**
- * generateToken - Create a signed JWT token
- * 
- * Creates a JWT token containing the user ID and signs it with the secret key.
- * The token expires after the duration specified in JWT_EXPIRE env variable.
- * 
- * Usage: const token = generateToken(user._id);
- * 
+ * generateToken - Create a signed, short-lived JWT access token
+ *
+ * Creates a JWT token containing the user ID and session ID and signs it with
+ * the secret key. The token expires after JWT_ACCESS_EXPIRE (default 15 minutes);
+ * clients use their refresh token to get a new one.
+ *
+ * Usage: const token = generateToken(user._id, session._id);
+ *
  * @param {string} userId - MongoDB user ID to encode in token
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} - Signed JWT token
- * 
+ *
  * Token Structure (JWT):
  * - Header: Contains algorithm (HS256)
- * - Payload: Contains { id: userId }
+ * - Payload: Contains { id: userId, sid: sessionId, iat, exp }
  * - Signature: Created using JWT_SECRET for verification
- * 
+ *
  * Example Token: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
  */
-const generateToken = (userId) => {
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
     // Payload - data to encode in token
-    { id: userId },
+    { id: userId, sid: sessionId.toString() },
     // Secret key for signing (from environment variables)
     process.env.JWT_SECRET,
     // Options
     {
-      // Token expiration time (e.g., "7d", "24h")
-      expiresIn: process.env.JWT_EXPIRE,
+      // Token expiration time (e.g., "15m")
+      expiresIn: ACCESS_TOKEN_EXPIRE,
+    }
+  );
+};
+
+// ======================
+// Refresh Tokens
+// ======================
+
+/**
+ * hashToken - SHA-256 hash of an opaque token, as stored in the database
+ *
+ * @param {string} token - Plaintext token
+ * @returns {string} - Hex encoded hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * issueRefreshToken - Create and store a new refresh token
+ *
+ * @param {string} userId - MongoDB user ID the token belongs to
+ * @param {string} family - Token family to join (the session ID)
+ * @returns {Promise<{refreshToken: string, tokenHash: string, family: string}>}
+ */
+const issueRefreshToken = async (userId, family) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const tokenHash = hashToken(refreshToken);
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash,
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { refreshToken, tokenHash, family };
+};
+
+/**
+ * rotateRefreshToken - Exchange a refresh token for a new one
+ *
+ * The presented token is marked as used atomically, so two concurrent
+ * requests with the same token cannot both succeed. Presenting a token
+ * that was already used or revoked is treated as theft: the whole family
+ * (the session) is revoked and the legitimate holder has to log in again.
+ *
+ * @param {string} refreshToken - Plaintext refresh token from the client
+ * @param {Object} [req] - Express request object (for the audit log)
+ * @returns {Promise<{userId: string, refreshToken: string, sessionId: string}|null>}
+ *          New token data, or null if the token is invalid, expired, reused
+ *          or its session was revoked
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // Claim the token: only succeeds if it has not been used or revoked yet
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!current) {
+    // Unknown token, or one that was already used - check for reuse
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (existing) {
+      console.warn('⚠️ Refresh token reuse detected, revoking session:', existing.family);
+      if (await revokeSession(existing.family)) {
+        await recordSecurityEvent(req, 'session.revoked', {
+          user: existing.user,
+          metadata: { sessionId: existing.family, reason: 'refresh_token_reuse' }
+        });
+      }
     }
+
+    return null;
+  }
+
+  if (current.expiresAt <= new Date()) {
+    return null;
+  }
+
+  // The session must still be active (not logged out or revoked)
+  const session = await Session.findById(current.family);
+  if (!session || !session.isActive()) {
+    return null;
+  }
+  await touchSession(session);
+
+  // Issue the successor in the same family and link it to the old token
+  const next = await issueRefreshToken(current.user, current.family);
+  current.replacedBy = next.tokenHash;
+  await current.save();
+
+  return {
+    userId: current.user.toString(),
+    refreshToken: next.refreshToken,
+    sessionId: current.family
+  };
+};
+
+// ======================
+// Email Verification Tokens
+// ======================
+
+/**
+ * generateEmailVerificationToken - Create a signed email verification token
+ *
+ * The token contains the email being verified, so a link sent before the
+ * address was changed cannot verify the new address.
+ *
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT (valid for 24 hours)
+ */
+const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: 'verify-email' },
+    process.env.JWT_SECRET,
+    { expiresIn: '24h' }
   );
 };
 
-// Export the token generation function
-module.exports = { generateToken };
\ No newline at end of file
+/**
+ * verifyEmailVerificationToken - Check an email verification token
+ *
+ * @param {string} token - Token from the verification link
+ * @returns {{id: string, email: string}|null} - Decoded payload, or null if invalid
+ */
+const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'verify-email' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// ======================
+// Two-Factor Challenge Tokens
+// ======================
+
+/**
+ * generateTwoFactorChallengeToken - Token proving the password step passed
+ *
+ * Returned by /login instead of real tokens when 2FA is enabled, and
+ * exchanged for them at /2fa/verify together with a code.
+ *
+ * @param {string} userId - MongoDB user ID
+ * @param {string} [method] - First-factor sign-in method, kept for the audit log
+ * @returns {string} - Signed JWT (valid for 5 minutes)
+ */
+const generateTwoFactorChallengeToken = (userId, method = null) => {
+  return jwt.sign(
+    { id: userId, method, purpose: '2fa-challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+/**
+ * verifyTwoFactorChallengeToken - Check a 2FA challenge token
+ *
+ * @param {string} token - Challenge token from /login
+ * @returns {{id: string, method: string|null}|null} - Decoded payload, or null if invalid or expired
+ */
+const verifyTwoFactorChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa-challenge' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// ======================
+// OAuth Hand-off Codes
+// ======================
+
+// Codes only need to survive the redirect back into the app
+const AUTH_CODE_EXPIRE_MS = 60 * 1000;
+
+/**
+ * createAuthCode - Create a one-time code the app exchanges for tokens
+ *
+ * @param {string} userId - MongoDB user ID
+ * @param {string} provider - OAuth provider the user signed in with
+ * @param {string} codeChallenge - The app's PKCE (S256) challenge
+ * @returns {Promise<string>} - Plaintext code (put in the app redirect URL)
+ */
+const createAuthCode = async (userId, provider, codeChallenge) => {
+  const code = crypto.randomBytes(32).toString('hex');
+
+  await AuthCode.create({
+    codeHash: hashToken(code),
+    user: userId,
+    provider,
+    codeChallenge,
+    expiresAt: new Date(Date.now() + AUTH_CODE_EXPIRE_MS)
+  });
+
+  return code;
+};
+
+/**
+ * consumeAuthCode - Redeem a one-time code (it is deleted on first use)
+ *
+ * @param {string} code - Code from the app redirect URL
+ * @returns {Promise<Object|null>} - The AuthCode document, or null if invalid/expired
+ */
+const consumeAuthCode = async (code) => {
+  return AuthCode.findOneAndDelete({
+    codeHash: hashToken(String(code)),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// ======================
+// Combined Helpers
+// ======================
+
+/**
+ * issueAuthTokens - Start a session and create its access and refresh tokens
+ *
+ * Used by every endpoint that logs a user in.
+ *
+ * Usage: const tokens = await issueAuthTokens(user._id, req);
+ *        res.json({ success: true, ...tokens, user });
+ *
+ * @param {string} userId - MongoDB user ID
+ * @param {Object} req - Express request object (device info is read from it)
+ * @returns {Promise<{token: string, refreshToken: string, sessionId: string}>}
+ */
+const issueAuthTokens = async (userId, req) => {
+  const session = await createSession(userId, req);
+  const { refreshToken } = await issueRefreshToken(userId, session.id);
+
+  return {
+    token: generateToken(userId, session.id),
+    refreshToken,
+    sessionId: session.id
+  };
+};
+
+// Export token helpers
+module.exports = {
+  ACCESS_TOKEN_EXPIRE,
+  generateToken,
+  hashToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  createAuthCode,
+  consumeAuthCode,
+  issueAuthTokens
+};
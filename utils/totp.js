@@ -0,0 +1,206 @@
+/**
+ * utils/totp.js - Time-based One-Time Passwords (RFC 6238)
+ *
+ * This file provides the helpers for TOTP two-factor authentication:
+ * - Generating base32 secrets and otpauth:// URIs for authenticator apps
+ * - Verifying 6-digit codes (30 second steps, ±1 step clock drift)
+ * - Generating one-time recovery codes
+ */
+
+// Import required packages
+const crypto = require('crypto');
+
+// ======================
+// Configuration
+// ======================
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step before/after to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ======================
+// Base32 Encoding
+// ======================
+
+/**
+ * base32Encode - Encode bytes as RFC 4648 base32 (no padding)
+ *
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * base32Decode - Decode an RFC 4648 base32 string
+ *
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// ======================
+// TOTP
+// ======================
+
+/**
+ * generateSecret - Create a new random TOTP secret
+ *
+ * @returns {string} - 160-bit secret, base32 encoded
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * buildOtpauthUri - Build the URI authenticator apps read from a QR code
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the app (usually the user's email)
+ * @returns {string} - otpauth://totp/... URI
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TOTP_ISSUER || 'Better Health';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * generateCode - HOTP code for a given time step
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * verifyCode - Check a TOTP code against a secret
+ *
+ * Returns the matched time step so callers can store it and refuse the
+ * same code a second time (replay protection).
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [lastUsedStep] - Step of the last accepted code, if any
+ * @returns {number|null} - Matched time step, or null if the code is invalid
+ */
+const verifyCode = (secret, code, lastUsedStep) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+  for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// ======================
+// Recovery Codes
+// ======================
+
+/**
+ * generateRecoveryCodes - Create one-time recovery codes
+ *
+ * Shown to the user once; only their hashes are stored.
+ *
+ * @returns {string[]} - Codes formatted like "a1b2c-3d4e5"
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+/**
+ * normalizeRecoveryCode - Canonical form of a recovery code before hashing
+ *
+ * @param {string} code - Code as typed by the user
+ * @returns {string}
+ */
+const normalizeRecoveryCode = (code) => {
+  const clean = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return `${clean.slice(0, 5)}-${clean.slice(5)}`;
+};
+
+// Export TOTP helpers
+module.exports = {
+  generateSecret,
+  buildOtpauthUri,
+  generateCode,
+  verifyCode,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+};
@@ -0,0 +1,85 @@
+/**
+ * utils/volumeUnits.js - Volume Unit Conversion
+ *
+ * Amounts are stored in whole millilitres. The API accepts and returns them
+ * in the user's unit (ml, l, fl_oz or glass, see config/hydration.js):
+ * ?unit= if given, otherwise the profile's volumeUnit, otherwise ml for
+ * metric and fl_oz for imperial users.
+ */
+
+// Import configuration
+const { VOLUME_UNITS } = require('../config/hydration');
+
+const UNIT_NAMES = Object.keys(VOLUME_UNITS);
+
+/**
+ * isVolumeUnit - Whether a value names a supported unit
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isVolumeUnit = (value) => typeof value === 'string' && UNIT_NAMES.includes(value);
+
+/**
+ * getPreferredUnit - The unit a user sees amounts in by default
+ *
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+const getPreferredUnit = (user) => user.volumeUnit || (user.units === 'imperial' ? 'fl_oz' : 'ml');
+
+/**
+ * toMl - Convert an amount in a unit to whole millilitres
+ *
+ * @param {number} amount
+ * @param {string} unit
+ * @returns {number}
+ */
+const toMl = (amount, unit) => Math.round(amount * VOLUME_UNITS[unit].ml);
+
+/**
+ * fromMl - Convert millilitres to a unit, rounded for display
+ *
+ * @param {number|null} ml
+ * @param {string} unit
+ * @returns {number|null} - null stays null
+ */
+const fromMl = (ml, unit) => {
+  if (ml === null || ml === undefined) return null;
+
+  const { ml: perUnit, decimals } = VOLUME_UNITS[unit];
+  const factor = 10 ** decimals;
+  return Math.round((ml / perUnit) * factor) / factor;
+};
+
+/**
+ * parseAmount - Validate an amount sent by a client and convert it to ml
+ *
+ * @param {*} value - Amount in `unit`
+ * @param {string} unit
+ * @param {Object} bounds
+ * @param {number} bounds.minMl
+ * @param {number} bounds.maxMl
+ * @param {string} [bounds.name='amount'] - Parameter name for the error message
+ * @returns {{ ml?: number, error?: string }}
+ */
+const parseAmount = (value, unit, { minMl, maxMl, name = 'amount' }) => {
+  const amount = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  const ml = typeof amount === 'number' && Number.isFinite(amount) ? toMl(amount, unit) : NaN;
+
+  if (!(ml >= minMl && ml <= maxMl)) {
+    return { error: `${name} must be a number between ${fromMl(minMl, unit)} and ${fromMl(maxMl, unit)} ${unit}` };
+  }
+
+  return { ml };
+};
+
+// Export unit helpers
+module.exports = {
+  UNIT_NAMES,
+  isVolumeUnit,
+  getPreferredUnit,
+  toMl,
+  fromMl,
+  parseAmount
+};
@@ -0,0 +1,300 @@
+/**
+ * utils/waterQuery.js - Water History Listing
+ *
+ * Helpers for GET /api/water: turning query parameters into a filter and
+ * reading one page of entries.
+ *
+ * Pagination uses an opaque cursor (keyset pagination on the sort field and
+ * _id) rather than page numbers, so entries added while the user scrolls
+ * never shift or repeat items.
+ */
+
+// Import required packages
+const mongoose = require('mongoose');
+const Water = require('../models/Water');
+const { serializeWater, WATER_VIEWS } = require('./serializers');
+const { isValidDay, addDays, startOfDay } = require('./timeZones');
+const { BEVERAGE_TYPES } = require('../config/hydration');
+
+// ======================
+// Configuration
+// ======================
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Sort options ("-" prefix for descending) and the stored field each sorts by
+const SORT_FIELDS = {
+  date: 'date',
+  amount: 'volumeMl',
+  createdAt: 'createdAt'
+};
+const DEFAULT_SORT = '-date';
+
+// Longest notes search accepted
+const MAX_SEARCH_LENGTH = 100;
+
+// Stored fields behind response fields that are computed (null: nothing to load)
+const FIELD_PATHS = {
+  id: null,
+  amount: 'volumeMl',
+  hydration: 'hydrationMl',
+  unit: null
+};
+
+/**
+ * getSortPath - Stored field a sort option sorts by
+ *
+ * @param {string} sort - e.g. '-amount'
+ * @returns {string} - e.g. 'volumeMl'
+ */
+const getSortPath = (sort) => SORT_FIELDS[sort.replace(/^-/, '')];
+
+// ======================
+// Cursors
+// ======================
+
+/**
+ * encodeCursor - Opaque cursor pointing after an entry
+ *
+ * @param {Object} entry - Last entry of a page
+ * @param {string} sort - Sort the page was read with
+ * @returns {string}
+ */
+const encodeCursor = (entry, sort) => {
+  const field = getSortPath(sort);
+  const value = entry[field] instanceof Date ? entry[field].toISOString() : entry[field];
+  return Buffer.from(JSON.stringify({ sort, value, id: entry._id.toString() })).toString('base64url');
+};
+
+/**
+ * decodeCursor - Read a cursor made by encodeCursor
+ *
+ * @param {string} cursor
+ * @param {string} sort - Sort of the current request
+ * @returns {{ value?: *, id?: string, error?: string }}
+ */
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return { error: 'Invalid cursor' };
+  }
+
+  if (!decoded || !mongoose.isValidObjectId(decoded.id) || decoded.value === undefined) {
+    return { error: 'Invalid cursor' };
+  }
+
+  if (decoded.sort !== sort) {
+    return { error: 'The cursor belongs to a different sort order' };
+  }
+
+  // The value goes straight into the query, so only plain values are
+  // accepted (an object could carry operators such as { $gt: 0 })
+  if (getSortPath(sort) === 'volumeMl') {
+    return Number.isFinite(decoded.value)
+      ? { value: decoded.value, id: decoded.id }
+      : { error: 'Invalid cursor' };
+  }
+
+  const value = typeof decoded.value === 'string' ? new Date(decoded.value) : null;
+
+  if (!value || isNaN(value.getTime())) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return { value, id: decoded.id };
+};
+
+// ======================
+// Query Building
+// ======================
+
+/**
+ * parseBound - Turn a from/to parameter into an instant
+ *
+ * A day (YYYY-MM-DD) means the whole day in the user's time zone, so
+ * from=2025-03-01&to=2025-03-01 covers March 1st.
+ *
+ * @param {string} value - Day or ISO date-time
+ * @param {string} bound - 'from' or 'to'
+ * @param {string} timeZone - IANA time zone
+ * @returns {{ operator: string, date: Date }|null} - null if invalid
+ */
+const parseBound = (value, bound, timeZone) => {
+  if (isValidDay(value)) {
+    return bound === 'from'
+      ? { operator: '$gte', date: startOfDay(value, timeZone) }
+      : { operator: '$lt', date: startOfDay(addDays(value, 1), timeZone) };
+  }
+
+  const date = new Date(value);
+  if (typeof value !== 'string' || isNaN(date.getTime())) return null;
+
+  return { operator: bound === 'from' ? '$gte' : '$lte', date };
+};
+
+/**
+ * escapeRegExp - Match a string literally in a regular expression
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * buildWaterQuery - Turn GET /api/water query parameters into a query
+ *
+ * Supported parameters:
+ * - from, to: days (YYYY-MM-DD, in the user's time zone) or ISO date-times
+ * - q: text the notes must contain (case-insensitive)
+ * - beverage: beverage type (comma separated for several)
+ * - sort: date, amount or createdAt, "-" prefix for descending (default -date)
+ * - fields: comma separated fields to return (id is always included)
+ * - cursor: nextCursor of the previous page
+ * - limit: page size (default 50, max 200)
+ *
+ * @param {Object} user - User document
+ * @param {Object} query - req.query
+ * @param {string} timeZone - IANA time zone
+ * @returns {{ filter?: Object, sort?: string, cursor?: Object, fields?: string[],
+ *            limit?: number, error?: string }} - filter excludes the cursor
+ *            so it can also be used for totals
+ */
+const buildWaterQuery = (user, query, timeZone) => {
+  const filter = { user: user._id };
+
+  for (const bound of ['from', 'to']) {
+    if (query[bound] === undefined) continue;
+
+    const parsed = parseBound(query[bound], bound, timeZone);
+    if (!parsed) {
+      return { error: `${bound} must be a date (YYYY-MM-DD) or an ISO date-time` };
+    }
+    filter.date = { ...filter.date, [parsed.operator]: parsed.date };
+  }
+
+  if (query.q !== undefined) {
+    if (typeof query.q !== 'string' || query.q.length > MAX_SEARCH_LENGTH) {
+      return { error: `q must be text of at most ${MAX_SEARCH_LENGTH} characters` };
+    }
+    if (query.q.trim()) {
+      filter.notes = { $regex: escapeRegExp(query.q.trim()), $options: 'i' };
+    }
+  }
+
+  if (query.beverage !== undefined) {
+    const beverages = String(query.beverage).split(',').map(b => b.trim());
+    if (beverages.some(b => !BEVERAGE_TYPES.includes(b))) {
+      return { error: `beverage must be one of: ${BEVERAGE_TYPES.join(', ')}` };
+    }
+    filter.beverage = { $in: beverages };
+  }
+
+  const sort = query.sort === undefined ? DEFAULT_SORT : query.sort;
+  if (typeof sort !== 'string' || !getSortPath(sort)) {
+    return { error: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)` };
+  }
+
+  let fields = null;
+  if (query.fields !== undefined) {
+    fields = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = fields.filter(f => !WATER_VIEWS.self.includes(f));
+    if (unknown.length > 0) {
+      return { error: `Unknown fields: ${unknown.join(', ')}` };
+    }
+    fields = [...new Set(['id', ...fields])];
+  }
+
+  let cursor = null;
+  if (query.cursor !== undefined) {
+    cursor = decodeCursor(query.cursor, sort);
+    if (cursor.error) return { error: cursor.error };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return { filter, sort, cursor, fields, limit };
+};
+
+// ======================
+// Reading
+// ======================
+
+/**
+ * findWaterPage - Read one page of entries
+ *
+ * @param {Object} query - Result of buildWaterQuery
+ * @param {string} unit - Volume unit of the amounts
+ * @returns {Promise<{ entries: Object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+const findWaterPage = async ({ filter, sort, cursor, fields, limit }, unit) => {
+  const field = getSortPath(sort);
+  const direction = sort.startsWith('-') ? -1 : 1;
+  const pageFilter = { ...filter };
+
+  // Continue after the last entry of the previous page (ties broken by _id)
+  if (cursor) {
+    const operator = direction === -1 ? '$lt' : '$gt';
+    pageFilter.$or = [
+      { [field]: { [operator]: cursor.value } },
+      { [field]: cursor.value, _id: { [operator]: cursor.id } }
+    ];
+  }
+
+  let find = Water.find(pageFilter)
+    .sort({ [field]: direction, _id: direction })
+    .limit(limit + 1);
+
+  // Only load the requested fields (and what the cursor needs)
+  if (fields) {
+    const paths = fields.map(f => (f in FIELD_PATHS ? FIELD_PATHS[f] : f)).filter(Boolean);
+    find = find.select([...new Set([field, ...paths])].join(' '));
+  }
+
+  const entries = await find.lean();
+
+  const hasMore = entries.length > limit;
+  if (hasMore) entries.pop();
+
+  const pick = entry => {
+    const serialized = serializeWater(entry, 'self', unit);
+    return fields ? Object.fromEntries(fields.map(f => [f, serialized[f]])) : serialized;
+  };
+
+  return {
+    entries: entries.map(pick),
+    nextCursor: hasMore ? encodeCursor(entries[entries.length - 1], sort) : null,
+    hasMore
+  };
+};
+
+/**
+ * sumWater - Totals of every entry matching a filter (not just one page)
+ *
+ * @param {Object} filter - filter from buildWaterQuery
+ * @returns {Promise<{ totalEntries: number, volumeMl: number, hydrationMl: number }>}
+ */
+const sumWater = async (filter) => {
+  const [totals] = await Water.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: null,
+        totalEntries: { $sum: 1 },
+        volumeMl: { $sum: '$volumeMl' },
+        hydrationMl: { $sum: '$hydrationMl' }
+      }
+    }
+  ]);
+
+  return {
+    totalEntries: totals ? totals.totalEntries : 0,
+    volumeMl: totals ? totals.volumeMl : 0,
+    hydrationMl: totals ? totals.hydrationMl : 0
+  };
+};
+
+// Export water listing helpers
+module.exports = { buildWaterQuery, findWaterPage, sumWater };
@@ -0,0 +1,398 @@
+/**
+ * utils/waterStats.js - Water Intake Analytics
+ *
+ * Builds the response of GET /api/water/stats. Totals are computed by
+ * MongoDB aggregation, grouped by calendar day and hour in the user's time
+ * zone; only one small row per day (and per hour) reaches Node.
+ *
+ * Every day of the range counts, including days without entries, so the
+ * daily average and the goal streaks reflect what the user really drank.
+ * Each day is judged against the goal that applied on it
+ * (utils/hydrationGoals.js), using the hydration of its drinks (volume ×
+ * beverage coefficient). Amounts are returned in the requested unit.
+ */
+
+// Import required packages
+const Water = require('../models/Water');
+const { loadGoalContext, getDayGoal, summarizeProgress, formatProgress } = require('./hydrationGoals');
+const { isValidDay, getDay, addDays, addMonths, startOfDay } = require('./timeZones');
+const { fromMl } = require('./volumeUnits');
+
+// ======================
+// Configuration
+// ======================
+
+// Longest range one request may cover (days)
+const MAX_RANGE_DAYS = 731;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rolling periods: first day relative to today (today included, so a week
+// is today and the 6 days before it)
+const ROLLING_PERIODS = {
+  day: today => today,
+  week: today => addDays(today, -6),
+  month: today => addDays(addMonths(today, -1), 1),
+  year: today => addDays(addMonths(today, -12), 1)
+};
+
+const ISO_WEEK_PATTERN = /^(\d{4})-W(\d{2})$/;
+const MONTH_PATTERN = /^(\d{4})-(\d{2})$/;
+
+// ======================
+// Ranges
+// ======================
+
+/**
+ * getIsoWeekMonday - Monday of week 1 of an ISO week-numbering year
+ *
+ * @param {number} year
+ * @returns {string} - YYYY-MM-DD
+ */
+const getIsoWeekMonday = (year) => {
+  // January 4th is always in week 1
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  return addDays(jan4.toISOString().slice(0, 10), -((jan4.getUTCDay() + 6) % 7));
+};
+
+/**
+ * countDays - Number of days from one day to another, both included
+ *
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+const countDays = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+
+/**
+ * resolveStatsRange - Days the stats cover, from the query string
+ *
+ * In order of precedence:
+ * - from=YYYY-MM-DD&to=YYYY-MM-DD: any range (to defaults to today)
+ * - week=YYYY-Www: ISO calendar week (Monday to Sunday)
+ * - month=YYYY-MM: calendar month
+ * - period=day|week|month|year: rolling window of 1, 7, a month or a year of
+ *   days ending today (default week)
+ *
+ * Days after today are left out.
+ *
+ * @param {Object} query - req.query
+ * @param {string} timeZone - IANA time zone deciding what "today" is
+ * @returns {{ from?: string, to?: string, period?: string, error?: string }}
+ */
+const resolveStatsRange = (query, timeZone) => {
+  const today = getDay(new Date(), timeZone);
+  let from;
+  let to;
+  let period = null;
+
+  if (query.from !== undefined || query.to !== undefined) {
+    from = query.from;
+    to = query.to === undefined ? today : query.to;
+
+    if (!isValidDay(from) || !isValidDay(to)) {
+      return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+  } else if (query.week !== undefined) {
+    const match = ISO_WEEK_PATTERN.exec(query.week);
+    const year = match && parseInt(match[1], 10);
+    const week = match && parseInt(match[2], 10);
+
+    // ISO years have 52 or 53 weeks
+    const weeksInYear = match && (countDays(getIsoWeekMonday(year), getIsoWeekMonday(year + 1)) - 1) / 7;
+
+    if (!match || week < 1 || week > weeksInYear) {
+      return { error: 'week must be an ISO week such as 2025-W07' };
+    }
+
+    from = addDays(getIsoWeekMonday(year), (week - 1) * 7);
+    to = addDays(from, 6);
+    period = 'calendar_week';
+  } else if (query.month !== undefined) {
+    const match = MONTH_PATTERN.exec(query.month);
+
+    if (!match || !isValidDay(`${query.month}-01`)) {
+      return { error: 'month must be a month such as 2025-02' };
+    }
+
+    from = `${query.month}-01`;
+    to = addDays(addMonths(from, 1), -1);
+    period = 'calendar_month';
+  } else {
+    period = ROLLING_PERIODS[query.period] ? query.period : 'week';
+    from = ROLLING_PERIODS[period](today);
+    to = today;
+  }
+
+  if (to > today) to = today;
+
+  if (from > to) {
+    return { error: 'The range must start before it ends, and not in the future' };
+  }
+
+  if (countDays(from, to) > MAX_RANGE_DAYS) {
+    return { error: `The range cannot be longer than ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from, to, period };
+};
+
+// ======================
+// Aggregation
+// ======================
+
+/**
+ * aggregateIntake - Intake per day (all history up to today), and per hour
+ * and beverage (range only)
+ *
+ * @param {Object} user - User document
+ * @param {Date} rangeStart - Start of the first day of the range
+ * @param {Date} rangeEnd - End of the last day of the range (exclusive)
+ * @param {Date} historyEnd - End of today (exclusive)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Promise<{ days: Object, hours: Object[], beverages: Object[] }>} -
+ *          days maps YYYY-MM-DD to { volumeMl, hydrationMl, entries }; hours
+ *          and beverages are { hour|beverage, volumeMl, hydrationMl, entries }
+ */
+const aggregateIntake = async (user, rangeStart, rangeEnd, historyEnd, timeZone) => {
+  const [result] = await Water.aggregate([
+    { $match: { user: user._id, date: { $lt: historyEnd } } },
+    {
+      $facet: {
+        // Streaks look at all history, so days are not limited to the range
+        days: [
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: timeZone } },
+              volumeMl: { $sum: '$volumeMl' },
+              hydrationMl: { $sum: '$hydrationMl' },
+              entries: { $sum: 1 }
+            }
+          }
+        ],
+        hours: [
+          { $match: { date: { $gte: rangeStart, $lt: rangeEnd } } },
+          {
+            $group: {
+              _id: { $hour: { date: '$date', timezone: timeZone } },
+              volumeMl: { $sum: '$volumeMl' },
+              hydrationMl: { $sum: '$hydrationMl' },
+              entries: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        beverages: [
+          { $match: { date: { $gte: rangeStart, $lt: rangeEnd } } },
+          {
+            $group: {
+              _id: '$beverage',
+              volumeMl: { $sum: '$volumeMl' },
+              hydrationMl: { $sum: '$hydrationMl' },
+              entries: { $sum: 1 }
+            }
+          },
+          { $sort: { volumeMl: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totalsOf = ({ volumeMl, hydrationMl, entries }) => ({ volumeMl, hydrationMl, entries });
+
+  const days = {};
+  result.days.forEach(d => {
+    days[d._id] = totalsOf(d);
+  });
+
+  return {
+    days,
+    hours: result.hours.map(h => ({ hour: h._id, ...totalsOf(h) })),
+    beverages: result.beverages.map(b => ({ beverage: b._id, ...totalsOf(b) }))
+  };
+};
+
+// ======================
+// Analytics
+// ======================
+
+/**
+ * evaluateDays - Intake and goal progress for every day between two days
+ *
+ * @param {Object} context - Result of loadGoalContext
+ * @param {Object} totals - Intake per day (from aggregateIntake)
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object[]} - [{ day, entries, volumeMl, totalMl, goalMl, percentComplete, ... }]
+ *          where totalMl is the hydration counted towards the goal
+ */
+const evaluateDays = (context, totals, from, to, timeZone) => {
+  const days = [];
+
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const total = totals[day] || { volumeMl: 0, hydrationMl: 0, entries: 0 };
+    const dayGoal = getDayGoal(context, day, startOfDay(addDays(day, 1), timeZone));
+
+    days.push({
+      day,
+      entries: total.entries,
+      volumeMl: total.volumeMl,
+      ...summarizeProgress(dayGoal, total.hydrationMl)
+    });
+  }
+
+  return days;
+};
+
+/**
+ * computeStreaks - Runs of consecutive days on which the goal was met
+ *
+ * Today does not break the current streak until it is over.
+ *
+ * @param {Object[]} days - Result of evaluateDays, oldest first, ending today
+ * @returns {Object} - { current, longest, longestFrom, longestTo }
+ */
+const computeStreaks = (days) => {
+  let longest = { length: 0, from: null, to: null };
+  let run = 0;
+
+  days.forEach((d, index) => {
+    run = d.goalMet ? run + 1 : 0;
+    if (run > longest.length) {
+      longest = { length: run, from: days[index - run + 1].day, to: d.day };
+    }
+  });
+
+  let current = 0;
+  const today = days[days.length - 1];
+  for (let index = days.length - (today && !today.goalMet ? 2 : 1); index >= 0 && days[index].goalMet; index -= 1) {
+    current += 1;
+  }
+
+  return {
+    current,
+    longest: longest.length,
+    longestFrom: longest.from,
+    longestTo: longest.to
+  };
+};
+
+/**
+ * averageOf - Average hydration (ml) per day (days without entries count as 0)
+ *
+ * @param {Object[]} days - Evaluated days
+ * @returns {number} - Whole millilitres
+ */
+const averageOf = (days) => (days.length > 0
+  ? Math.round(days.reduce((sum, d) => sum + d.totalMl, 0) / days.length)
+  : 0);
+
+/**
+ * computeTrend - Last 7 days compared with the 7 days before
+ *
+ * @param {Object[]} days - Evaluated days, oldest first, ending at the range end
+ * @param {string} unit - Volume unit of the averages
+ * @returns {Object} - { currentWeek, previousWeek, change, changePercent }
+ */
+const computeTrend = (days, unit) => {
+  const currentWeek = days.slice(-7);
+  const previousWeek = days.slice(-14, -7);
+  const current = averageOf(currentWeek);
+  const previous = averageOf(previousWeek);
+
+  const describe = (week, average) => ({
+    from: week.length > 0 ? week[0].day : null,
+    to: week.length > 0 ? week[week.length - 1].day : null,
+    averageDaily: fromMl(average, unit)
+  });
+
+  return {
+    currentWeek: describe(currentWeek, current),
+    previousWeek: describe(previousWeek, previous),
+    change: fromMl(current - previous, unit),
+    changePercent: previous > 0 ? Math.round(((current - previous) / previous) * 100) : null
+  };
+};
+
+/**
+ * getWaterStats - Analytics for a range of days
+ *
+ * @param {Object} user - User document
+ * @param {Object} range - Result of resolveStatsRange
+ * @param {string} timeZone - IANA time zone
+ * @param {string} unit - Volume unit of the amounts returned
+ * @returns {Promise<Object>}
+ */
+const getWaterStats = async (user, { from, to, period }, timeZone, unit) => {
+  const today = getDay(new Date(), timeZone);
+
+  const { days: totals, hours, beverages } = await aggregateIntake(
+    user,
+    startOfDay(from, timeZone),
+    startOfDay(addDays(to, 1), timeZone),
+    startOfDay(addDays(today, 1), timeZone),
+    timeZone
+  );
+
+  // Evaluate from the first recorded day (for streaks) or two weeks before
+  // the range end (for the trend), whichever is earlier
+  const recordedDays = Object.keys(totals).sort();
+  const trendStart = addDays(to, -13);
+  const historyStart = [from, trendStart, recordedDays[0] || from].sort()[0];
+
+  const context = await loadGoalContext(user, historyStart, today);
+  const history = evaluateDays(context, totals, historyStart, today, timeZone);
+
+  const days = history.filter(d => d.day >= from && d.day <= to);
+  const byIntake = [...days].sort((a, b) => b.totalMl - a.totalMl);
+  const totalVolumeMl = days.reduce((sum, d) => sum + d.volumeMl, 0);
+  const totalHydrationMl = days.reduce((sum, d) => sum + d.totalMl, 0);
+  const totalEntries = days.reduce((sum, d) => sum + d.entries, 0);
+
+  const summarizeDay = d => d && {
+    date: d.day,
+    total: fromMl(d.totalMl, unit),
+    goal: fromMl(d.goalMl, unit),
+    percentComplete: d.percentComplete
+  };
+
+  const convert = ({ volumeMl, hydrationMl, entries }) => ({
+    volume: fromMl(volumeMl, unit),
+    hydration: fromMl(hydrationMl, unit),
+    entries
+  });
+
+  // Hour-of-day distribution includes hours without entries
+  const hourly = Array.from({ length: 24 }, (value, hour) => ({
+    hour,
+    ...convert(hours.find(h => h.hour === hour) || { volumeMl: 0, hydrationMl: 0, entries: 0 })
+  }));
+
+  return {
+    period,
+    from,
+    to,
+    timeZone,
+    unit,
+    days: days.length,
+    totalEntries,
+    totalVolume: fromMl(totalVolumeMl, unit),
+    totalHydration: fromMl(totalHydrationMl, unit),
+    averageDaily: fromMl(averageOf(days), unit),
+    averagePerEntry: totalEntries > 0 ? fromMl(totalVolumeMl / totalEntries, unit) : 0,
+    daysGoalMet: days.filter(d => d.goalMet).length,
+    averagePercentComplete: Math.round(days.reduce((sum, d) => sum + d.percentComplete, 0) / days.length),
+    bestDay: summarizeDay(byIntake[0]),
+    worstDay: summarizeDay(byIntake[byIntake.length - 1]),
+    streaks: computeStreaks(history),
+    trend: computeTrend(history.filter(d => d.day <= to), unit),
+    hourlyDistribution: hourly,
+    beverageBreakdown: beverages.map(b => ({ beverage: b.beverage, ...convert(b) })),
+    dailyBreakdown: Object.fromEntries(days.map(d => [d.day, fromMl(d.totalMl, unit)])),
+    dailyGoals: Object.fromEntries(days.map(d => [d.day, formatProgress(d, unit)]))
+  };
+};
+
+// Export stats helpers
+module.exports = { resolveStatsRange, getWaterStats };
@@ -0,0 +1,111 @@
+/**
+ * utils/waterVolumeMigration.js - Glasses to Millilitres Migration
+ *
+ * Entries, goal versions and goal adjustments used to be counted in glasses;
+ * they are now stored in millilitres (see config/hydration.js). Every glass
+ * becomes GLASS_ML ml and old entries are recorded as plain water.
+ *
+ * The server refuses to start while documents still need converting
+ * (server.js), since every read expects volumes. Convert them with
+ * `npm run migrate:water-volume` (scripts/migrate-water-volume.js).
+ */
+
+// Import required packages
+const Water = require('../models/Water');
+const HydrationGoal = require('../models/HydrationGoal');
+const HydrationAdjustment = require('../models/HydrationAdjustment');
+const { GLASS_ML } = require('../config/hydration');
+
+// ======================
+// Conversions
+// ======================
+
+/**
+ * toMl - Pipeline expression converting a glasses field (null stays null)
+ *
+ * @param {string} field - Old field name
+ * @returns {Object}
+ */
+const toMl = (field) => ({
+  $cond: [
+    { $eq: [{ $ifNull: [`$${field}`, null] }, null] },
+    null,
+    { $round: [{ $multiply: [`$${field}`, GLASS_ML] }, 0] }
+  ]
+});
+
+/**
+ * MIGRATIONS - Documents still counted in glasses, and how to convert them
+ *
+ * Runs on the raw collections so schema defaults and validators stay out of the way.
+ */
+const MIGRATIONS = [
+  {
+    model: Water,
+    filter: { glasses: { $exists: true }, volumeMl: { $exists: false } },
+    update: [
+      { $set: { volumeMl: toMl('glasses') } },
+      // Entries were always water, which counts in full towards the goal
+      { $set: { beverage: 'water', hydrationMl: '$volumeMl', container: null } },
+      { $unset: 'glasses' }
+    ]
+  },
+  {
+    model: HydrationGoal,
+    filter: { glasses: { $exists: true }, volumeMl: { $exists: false } },
+    update: [
+      {
+        $set: {
+          volumeMl: toMl('glasses'),
+          calculatedMl: toMl('calculatedGlasses'),
+          manualMl: toMl('manualGlasses')
+        }
+      },
+      { $unset: ['glasses', 'calculatedGlasses', 'manualGlasses'] }
+    ]
+  },
+  {
+    model: HydrationAdjustment,
+    filter: { extraGlasses: { $exists: true }, extraMl: { $exists: false } },
+    update: [
+      { $set: { extraMl: toMl('extraGlasses') } },
+      { $unset: 'extraGlasses' }
+    ]
+  }
+];
+
+// ======================
+// Migration
+// ======================
+
+/**
+ * countPendingDocuments - Documents still counted in glasses, per model
+ *
+ * @returns {Promise<{ model: string, count: number }[]>}
+ */
+const countPendingDocuments = () => Promise.all(MIGRATIONS.map(async ({ model, filter }) => ({
+  model: model.modelName,
+  count: await model.collection.countDocuments(filter)
+})));
+
+/**
+ * migrateWaterVolume - Convert every document still counted in glasses
+ *
+ * Safe to run more than once: documents already converted are skipped.
+ * Requires MongoDB 4.2+ (updates with aggregation pipelines).
+ *
+ * @returns {Promise<{ model: string, count: number }[]>} - Documents converted per model
+ */
+const migrateWaterVolume = async () => {
+  const results = [];
+
+  for (const { model, filter, update } of MIGRATIONS) {
+    const { modifiedCount } = await model.collection.updateMany(filter, update);
+    results.push({ model: model.modelName, count: modifiedCount });
+  }
+
+  return results;
+};
+
+// Export migration helpers
+module.exports = { countPendingDocuments, migrateWaterVolume };